@@ -69,16 +69,16 @@ class ObjectUtils {
     return obj;
   }
 
-  walkObjectRecursive(obj, parent, parentPath, callback) {
+  walkObjectRecursive(obj, parent, parentPath, callback, joinPath) {
     if (obj) {
       Object.keys(obj).forEach((key) => {
-        const path = parentPath ? `${parentPath}.${key}` : key,
+        const path = joinPath ? joinPath(parentPath, key) : (parentPath ? `${parentPath}.${key}` : key),
           value = obj[key];
 
         const traversalNode = callback(path, value, parent, key);
 
         if (traversalNode) {
-          this.walkObjectRecursive(traversalNode, value, path, callback);
+          this.walkObjectRecursive(traversalNode, value, path, callback, joinPath);
         }
       });
     }
@@ -1,9 +1,119 @@
 const lodash = require('lodash');
 const Ajv = require('ajv');
+const draft04MetaSchema = require('ajv/lib/refs/json-schema-draft-04.json');
+const draft06MetaSchema = require('ajv/lib/refs/json-schema-draft-06.json');
 
 const ObjectUtils = require('./ObjectUtils');
+const SchemaPath = require('./SchemaPath');
+const SchemaSampler = require('./SchemaSampler');
+const SchemaModel = require('./SchemaModel');
+const SchemaPatch = require('./SchemaPatch');
+const SchemaMerger = require('./SchemaMerger');
+const SchemaMigrations = require('./SchemaMigrations');
+const SchemaComparator = require('./SchemaComparator');
+const SchemaTypeScript = require('./SchemaTypeScript');
+const SchemaForm = require('./SchemaForm');
+const SchemaTemplates = require('./SchemaTemplates');
+const SchemaBundler = require('./SchemaBundler');
+const SchemaDiscriminator = require('./SchemaDiscriminator');
+const SchemaVisitor = require('./SchemaVisitor');
+const SchemaLinter = require('./SchemaLinter');
+const { SchemaResolver, SchemaRegistry, FileSystemResolver } = require('./SchemaResolver');
+const SchemaValidationError = require('./SchemaValidationError');
+const { SchemaExtensions, dateCodecs } = require('./SchemaExtensions');
+const SchemaAsyncValidator = require('./SchemaAsyncValidator');
+const { MemoryRecordProvider, recordKeywords } = require('./SchemaRecords');
+const { dataKeywords, nameMapKeywords } = require('./SchemaKeywords');
+const { mergeSubschemas, mergeReference } = require('./SchemaComposition');
+const {
+  MessageCatalogs,
+  localeChain,
+  localize,
+  interpolate,
+} = require('./SchemaMessages');
 
-const ajv = new Ajv({ allErrors: true });
+/**
+ * Ajv options used unless overridden by the `ajvOptions` Schema option
+ */
+const defaultAjvOptions = {
+  allErrors: true,
+};
+
+/**
+ * Message catalogs shared by every Schema
+ */
+const globalCatalogs = new MessageCatalogs();
+
+/**
+ * Formats, keywords and codecs shared by every Schema
+ */
+const globalExtensions = new SchemaExtensions(dateCodecs);
+
+/**
+ * Meta schemas of the drafts supported in addition to draft-07
+ */
+const metaSchemas = {
+  4: draft04MetaSchema,
+  6: draft06MetaSchema,
+};
+
+/**
+ * Number of Schemas created, numbering the keys of their root schema in Ajv
+ */
+let schemaCount = 0;
+
+/**
+ * Makes the in-document references of a subschema refer to the root schema registered
+ * in Ajv under a key, so the subschema can be compiled on its own
+ * 
+ * `{ $ref: '#/definitions/a' }` => `{ $ref: 'sprout://schema/1#/definitions/a' }`
+ * 
+ * @param {*} node the subschema
+ * @param {string} key the key of the root schema
+ * @return {*} a copy of the subschema
+ */
+function rebaseReferences(node, key) {
+  if (Array.isArray(node)) {
+    return node.map((item) => { return rebaseReferences(item, key); });
+  }
+  if (!lodash.isPlainObject(node)) {
+    return node;
+  }
+  return lodash.mapValues(node, (value, name) => {
+    if (name === '$ref' && typeof value === 'string' && value.startsWith('#')) {
+      return `${key}${value}`;
+    }
+    return dataKeywords.includes(name) ? value : rebaseReferences(value, key);
+  });
+}
+
+/**
+ * Creates an Ajv instance
+ * 
+ * @param {Object} [options = {}] Ajv options with the addition of `draft` (4, 6 or 7)
+ * @return {Ajv} Ajv instance
+ * @throws {Error} if the draft is not supported
+ */
+function createAjv(options = {}) {
+  const { draft = 7, ...ajvOptions } = options;
+  if (draft !== 7 && !metaSchemas[draft]) {
+    throw new Error(`unsupported JSON schema draft ${draft}`);
+  }
+
+  const metaSchema = metaSchemas[draft];
+  const ajv = new Ajv({
+    ...defaultAjvOptions,
+    // draft-04 identifies schemas with `id`, the draft-07 meta schema with `$id`
+    ...(draft === 4 ? { schemaId: 'auto' } : {}),
+    // schemas without `$schema` are of the draft
+    ...(metaSchema ? { defaultMeta: metaSchema.id || metaSchema.$id } : {}),
+    ...ajvOptions,
+  });
+  if (metaSchema) {
+    ajv.addMetaSchema(metaSchema);
+  }
+  return ajv;
+}
 
 /**
  * valueTypes are schema types which have a value associated with them.
@@ -19,76 +129,84 @@ const valueTypes = [
 ];
 
 /**
- * @class {SchemaPath}
- *
- * Helper class for working with paths
+ * Determines if a value is of a JSON schema type
+ * 
+ * @param {string} type
+ * @param {*} value
+ * @return {boolean} true if value is of type
  */
-class SchemaPath {
-  /**
-   * Resolves all segments of a path.
-   * 
-   * Paths that look like test['abc'].temp are resolved to `test.abc.temp`
-   * 
-   * @param {string} path a schema path to resolve -- paths into arrays are not supported
-   * @return {string} resolved path
-   */
-  static resolvePath(path) {
-    return path.split('.').map((segment) => {
-      return segment.replace(/\['/g, '.').replace(/'\]/g, '.').replace(/\.$/, '');
-    }).join('.');
+function isOfType(type, value) {
+  if (type === 'string') {
+    return lodash.isString(value);
   }
-
-  /**
-   * Computes the parent of the specified path
-   * 
-   * `test.abc.temp` => `test.abc`
-   * 
-   * @param {string} path
-   * @return {string} parent path
-   */  
-  static parentPath(path) {
-    return SchemaPath.resolvePath(path)
-      .split('.')
-      .slice(0, -1)
-      .join('.');
+  if (type === 'boolean') {
+    return lodash.isBoolean(value);
   }
-
-  /**
-   * Hydrates the specified path from a model path to schema path
-   * 
-   * `test.abc.temp` => `test.properties.abc.properties.temp`
-   * 
-   * @param {string} path
-   * @return {string} hydrated path
-   */  
-  static hydratePath(path) {
-    return SchemaPath.resolvePath(path)
-      .split('.')
-      .map((segment) => {
-        return `properties.${segment}`;
-      })
-      .join('.')
-      .replace(/\[\d{1,}\]/g, '.items')
-      .split('.')
-      .map((segment) => {
-        return `['${segment}']`;
-      })
-      .join('.');
+  if (type === 'object') {
+    return lodash.isPlainObject(value);
   }
-
-  /**
-   * Normalizes a schema path into dot notation
-   * 
-   * `#/test/abc/temp` => `test.abc.temp`
-   * 
-   * @param {string} path
-   * @return {string} hydrated path
-   */    
-  static normalizeSchemaReferencePath(ref) {
-    return ref.replace('#/', '').replace(/\//g, '.');
+  if (type === 'integer') {
+    return lodash.isInteger(value);
   }
+  if (type === 'number') {
+    return lodash.isNumber(value) && !lodash.isNaN(value);
+  }
+  if (type === 'null') {
+    return value === null;
+  }
+  if (type === 'array') {
+    return Array.isArray(value);
+  }
+  return false;
 }
 
+/**
+ * Coerces a scalar to a JSON schema type
+ * 
+ * `'12'` => 12 (integer or number), `'true'` / `'1'` => true (boolean),
+ * 12 => `'12'` (string), `''` / `'null'` => null (null)
+ * 
+ * @param {string} type
+ * @param {*} value
+ * @return {{coerced: boolean, value: *}} the coerced value, `coerced` false if it could not be coerced
+ */
+function coerceScalar(type, value) {
+  const text = lodash.isString(value) ? value.trim() : undefined;
+  let result;
+
+  if (type === 'integer' || type === 'number') {
+    if (text !== undefined && text !== '' && lodash.isFinite(Number(text))) {
+      result = Number(text);
+    } else if (lodash.isBoolean(value)) {
+      result = value ? 1 : 0;
+    }
+    if (type === 'integer' && !lodash.isInteger(result)) {
+      result = undefined;
+    }
+  } else if (type === 'boolean') {
+    if (['true', '1'].includes(text && text.toLowerCase()) || value === 1) {
+      result = true;
+    } else if (['false', '0'].includes(text && text.toLowerCase()) || value === 0) {
+      result = false;
+    }
+  } else if (type === 'string') {
+    if (lodash.isNumber(value) || lodash.isBoolean(value)) {
+      result = String(value);
+    }
+  } else if (type === 'null') {
+    if (text === '' || text === 'null') {
+      return {
+        coerced: true,
+        value: null,
+      };
+    }
+  }
+
+  return {
+    coerced: result !== undefined,
+    value: result,
+  };
+}
 
 /**
  * @class {SchemaWalkerCallback}
@@ -112,34 +230,6 @@ class SchemaWalkerCallback {
   }
 }
 
-/**
- * @class {SchemaValidationError}
- *
- * Helper class for validation exceptions
- */
-class SchemaValidationError extends Error {
-  constructor(errors) {
-    super(errors.length === 1 ? errors[0].message : 'Schema Validation Error');
-    this.errors = errors;
-  }
-
-  /**
-   * Overload for determining if an exception is a SchemaValidationError
-   * 
-   * @param {*} type type to statically evaluate
-   */
-  isPrototypeOf(type) {
-    if (type === SchemaValidationError) {
-      return true;
-    }
-    return super.isPrototypeOf(type);
-  }
-
-  toString() {
-    return `Schema Validation Error Occurred ${JSON.stringify(this.errors)}`;
-  }
-}
-
 /**
  * @class {Schema}
  * Utility class wrapper for JSON schemas
@@ -153,12 +243,221 @@ class Schema {
    * or https://github.com/epoberezkin/json-schema-traverse 
    *   
    */
-  constructor(schema = {}) {
+  /**
+   * @param {Object} [schema = {}] the schema document
+   * @param {Object} [options = {}] options
+   * @param {Array} [options.resolvers = []] resolvers used to load external references,
+   *    either objects implementing `resolve(uri)` (see `SchemaRegistry` and `FileSystemResolver`)
+   *    or functions taking the uri and returning the schema document
+   * @param {string} [options.baseUri = schema.$id] the uri relative references are resolved against
+   * @param {Ajv} [options.ajv] the Ajv instance used for validation
+   * @param {Object} [options.ajvOptions] options of the Ajv instance created for this schema when
+   *    `options.ajv` is not supplied (`draft`, `$data`, `coerceTypes`, `useDefaults`, `removeAdditional`...)
+   * @param {string} [options.locale] the locale of validation messages and labels
+   * @param {Array<string>} [options.fallbackLocales = []] locales used when a message or label
+   *    is not available in `options.locale`
+   * @param {Object} [options.logger] logger implementing `debug` for validation errors
+   * @param {string} [options.versionProperty = 'version'] the model property holding the version
+   *    of a model, see `migrate`
+   * @param {boolean} [options.strictVariants = false] true to throw when a value matches several
+   *    `oneOf` variants which no discriminator tells apart, they are otherwise reported to the logger
+   * @throws {Error} if an external reference cannot be resolved
+   */
+  constructor(schema = {}, options = {}) {
     this.schema = schema;
-    // TODO: resolve external references
+    this.options = options;
+    this.ajv = options.ajv || createAjv(options.ajvOptions);
+    this.logger = options.logger;
+    this.catalogs = new MessageCatalogs();
+    this.extensions = new SchemaExtensions();
+    this.migrations = new SchemaMigrations();
+    this.validator = null;
+    // the key of the root schema in Ajv, the validators of subschemas refer to it
+    this.validatorKey = `sprout://schema/${++schemaCount}`;
+    // the controller of the pending `validateAsync` run
+    this.asyncValidation = null;
+    this.lazyReferences = new WeakMap();
+    this.compositeSchemas = new WeakMap();
+    this.compositeConditions = new WeakMap();
+    this.discriminators = new WeakMap();
+    // the reference each hydrated subschema came from
+    this.referenceOrigins = new WeakMap();
+    const resolver = new SchemaResolver(options.resolvers);
+    resolver.importExternalReferences(this.schema, options.baseUri);
+    // the uris of the definitions imported from external documents, keyed by their internal reference
+    this.origins = lodash.invert(resolver.imported);
+    // the document as written, with its references, before hydration copies them in place
+    this.document = lodash.cloneDeep(this.schema);
     this.hydrateReferences();
   }
 
+  /**
+   * Registers a catalog of validation message templates for every Schema
+   * 
+   * `Schema.registerCatalog('fr', { messages: { minLength: '{label} doit contenir au moins {limit} caractères' } })`
+   * 
+   * @param {string} locale
+   * @param {Object} catalog `{ messages: { [keyword]: template } }`
+   */
+  static registerCatalog(locale, catalog) {
+    globalCatalogs.register(locale, catalog);
+  }
+
+  /**
+   * Registers a catalog of validation message templates for this Schema.
+   * These take precedence over catalogs registered with `Schema.registerCatalog`
+   * 
+   * @param {string} locale
+   * @param {Object} catalog `{ messages: { [keyword]: template } }`
+   * @return {Schema} this
+   */
+  registerCatalog(locale, catalog) {
+    this.catalogs.register(locale, catalog);
+    return this;
+  }
+
+  /**
+   * Registers a format validated by every Schema, with an optional codec used by `decode` / `encode`
+   * 
+   * `Schema.registerFormat('sku', /^[A-Z]{3}-\d{4}$/)`
+   * 
+   * @param {string} name
+   * @param {RegExp|function(value:string):boolean|Object} format Ajv format
+   * @param {{decode: function, encode: function}} [codec] codec of the values of the format
+   * @throws {Error} if the format or the codec is invalid
+   */
+  static registerFormat(name, format, codec) {
+    globalExtensions.registerFormat(name, format, codec);
+  }
+
+  /**
+   * Registers a format validated by this Schema, taking precedence over those of `Schema.registerFormat`
+   * 
+   * Formats are added to the Ajv instance of the Schema: a Schema sharing `options.ajv`
+   * cannot register its own, formats are then registered globally or on the Ajv instance.
+   * 
+   * @param {string} name
+   * @param {RegExp|function(value:string):boolean|Object} format Ajv format
+   * @param {{decode: function, encode: function}} [codec] codec of the values of the format
+   * @return {Schema} this
+   * @throws {Error} if the format or the codec is invalid, or the Ajv instance is shared
+   */
+  registerFormat(name, format, codec) {
+    this.assertOwnAjv(`format ${name}`);
+    this.extensions.registerFormat(name, format, codec);
+    return this;
+  }
+
+  /**
+   * Registers a keyword validated by every Schema, written in the `$sprout` annotations of subschemas
+   * 
+   * `Schema.registerKeyword('skuPrefix', { type: 'string', validate: (prefix, data) => data.startsWith(prefix) })`
+   * validates `{ "type": "string", "$sprout": { "skuPrefix": "AB" } }`
+   * 
+   * Errors are reported with the keyword name as their `keyword`, so catalogs can
+   * provide their messages (see `SchemaExtensions` for definitions).
+   * 
+   * @param {string} name
+   * @param {Object} definition `validate(value, data, subSchema)` or `compile(value, subSchema)`,
+   *    with optional `type` and `message`
+   * @throws {Error} if the name is reserved or the definition neither validates nor compiles
+   */
+  static registerKeyword(name, definition) {
+    globalExtensions.registerKeyword(name, definition);
+  }
+
+  /**
+   * Registers a `$sprout` keyword validated by this Schema.
+   * 
+   * Keywords are added to the Ajv instance of the Schema: a Schema sharing `options.ajv`
+   * cannot register its own, keywords are then registered globally with `Schema.registerKeyword`.
+   * 
+   * @param {string} name
+   * @param {Object} definition see `Schema.registerKeyword`
+   * @return {Schema} this
+   * @throws {Error} if the name is reserved, the definition neither validates nor compiles
+   *    or the Ajv instance is shared
+   */
+  registerKeyword(name, definition) {
+    this.assertOwnAjv(`$sprout keyword ${name}`);
+    this.extensions.registerKeyword(name, definition);
+    return this;
+  }
+
+  /**
+   * Ensures the Ajv instance belongs to this Schema, so what is added to it doesn't
+   * apply to the other Schemas sharing it through `options.ajv`
+   * 
+   * @param {string} what the registration
+   * @throws {Error} if the Ajv instance was supplied
+   */
+  assertOwnAjv(what) {
+    if (this.options.ajv) {
+      throw new Error(`${what} cannot be registered for a Schema sharing options.ajv, register it for every Schema instead`);
+    }
+  }
+
+  /**
+   * Registers the codec of a format for every Schema, replacing any codec of the format
+   * 
+   * @param {string} format
+   * @param {{decode: function(value:*, subSchema:Object):*, encode: function(value:*, subSchema:Object):*}} codec
+   * @throws {Error} if the codec does not decode and encode
+   */
+  static registerCodec(format, codec) {
+    globalExtensions.registerCodec(format, codec);
+  }
+
+  /**
+   * Registers the codec of a format for this Schema
+   * 
+   * @param {string} format
+   * @param {{decode: function(value:*, subSchema:Object):*, encode: function(value:*, subSchema:Object):*}} codec
+   * @return {Schema} this
+   * @throws {Error} if the codec does not decode and encode
+   */
+  registerCodec(format, codec) {
+    this.extensions.registerCodec(format, codec);
+    return this;
+  }
+
+  /**
+   * Loads the schema at uri, and every schema it references, synchronously
+   *
+   * @param {string} uri the uri of the schema
+   * @param {Object} [options = {}] constructor options
+   * @return {Schema} the schema
+   * @throws {Error} if the schema or one of its references cannot be resolved
+   */
+  static loadSync(uri, options = {}) {
+    const document = new SchemaResolver(options.resolvers).resolve(uri);
+    if (document === undefined) {
+      throw new Error(`unable to resolve schema ${uri}`);
+    }
+    return new Schema(document, {
+      ...options,
+      baseUri: uri,
+    });
+  }
+
+  /**
+   * Loads the schema at uri, and every schema it references, asynchronously
+   *
+   * Resolvers may implement `resolveAsync(uri)` or return a promise
+   *
+   * @param {string} uri the uri of the schema
+   * @param {Object} [options = {}] constructor options
+   * @return {Promise<Schema>} the schema
+   */
+  static async load(uri, options = {}) {
+    const { document, registry } = await SchemaResolver.prefetch(uri, options.resolvers);
+    return new Schema(document, {
+      ...options,
+      baseUri: uri,
+      resolvers: [registry],
+    });
+  }
+
   get properties() {
     return this.schema && this.schema.properties;
   }
@@ -180,7 +479,9 @@ class Schema {
    *   "date": {
    *    "type": "string"
    *    "examples": [
-   *      {"$pathRef": "directives.today"}
+   *      {"$pathRef": "directives.today"},
+   *      "Due {{directives.today | date:'short'}}",
+   *      "{{directives.owner | default:'nobody'}}"
    *    ]
    *   }
    * }
@@ -191,39 +492,95 @@ class Schema {
    *   "date": {
    *    "type": "string"
    *    "examples": [
-   *      "November 1, 1969"
+   *      "1969-11-01",
+   *      "Due 11/1/69",
+   *      "nobody"
    *    ]
    *   }
    * }
    * 
+   * Expressions are a path followed by filters, see `SchemaTemplates` for the syntax and filters.
+   * Values returned are resolved in turn, templates referring to each other throw.
+   * 
    * @param {Object} subSchema The subschema to traverse
-   * @param {@param {function(name:string):string}} cb callback to be called for every occurrence of $pathRef
+   * @param {function(path:string):*|Object} cb callback to be called for every path referenced,
+   *    or a context model the paths are read from (see `contextResolver`)
+   * @param {Object} [options = {}] options
+   * @param {Object} [options.filters] filters, in addition to those registered with `registerFilter`
+   * @param {string} [options.locale = 'en-US'] the locale of the date filter
+   * @return {Object} a copy of the subschema with its templates resolved
+   * @throws {Error} if references are cyclic or a filter is unknown
    */
-  static fixupPathReferences(subSchema, cb) {
-    let result;
+  static fixupPathReferences(subSchema, cb, options = {}) {
+    const resolver = typeof cb === 'function' ? cb : Schema.contextResolver(cb);
+    return new SchemaTemplates(resolver, options).fixup(subSchema);
+  }
 
-    if (Array.isArray(subSchema)) {
-      result = [];
-      subSchema.forEach((item) => {
-        result.push(Schema.fixupPathReferences(item, cb));
-      });
-    } else if (lodash.isPlainObject(subSchema)) {
-      result = {
-        ...subSchema,
-      };
-      Object.keys(result).forEach((key) => {
-        const pathRef = subSchema[key].$pathRef;
-        if (pathRef) {
-          result[key] = cb(pathRef);
-        } else {
-          result[key] = Schema.fixupPathReferences(subSchema[key], cb);
-        }
-      });
-    } else {
-      result = subSchema;
+  /**
+   * Resolves `$pathRef` templates like `fixupPathReferences` with a resolver returning promises,
+   * for resolvers loading data. Each path is resolved once.
+   * 
+   * @param {Object} subSchema The subschema to traverse
+   * @param {function(path:string):Promise<*>|Object} cb resolver of paths or a context model
+   * @param {Object} [options = {}] options, see `fixupPathReferences`
+   * @return {Promise<Object>} a copy of the subschema with its templates resolved
+   * @throws {Error} if references are cyclic or a filter is unknown
+   */
+  static async fixupPathReferencesAsync(subSchema, cb, options = {}) {
+    const resolver = typeof cb === 'function' ? cb : Schema.contextResolver(cb);
+    const values = new Map();
+    let paths = SchemaTemplates.paths(subSchema);
+    while (paths.length) {
+      // values resolved may hold templates of their own
+      const resolved = await Promise.all(paths.map((path) => { return resolver(path); }));
+      paths.forEach((path, i) => { values.set(path, resolved[i]); });
+      paths = lodash.uniq(lodash.flatMap(resolved, SchemaTemplates.paths)).filter((path) => { return !values.has(path); });
     }
+    return new SchemaTemplates((path) => { return values.get(path); }, options).fixup(subSchema);
+  }
 
-    return result;
+  /**
+   * Creates a `$pathRef` resolver reading paths from a context model
+   * 
+   * @param {*} model
+   * @return {function(path:string):*} resolver
+   */
+  static contextResolver(model) {
+    return (path) => {
+      const keys = SchemaPath.toKeys(path);
+      return keys.length ? lodash.get(model, keys) : model;
+    };
+  }
+
+  /**
+   * Registers a `$pathRef` filter available to every template
+   * 
+   * `Schema.registerFilter('currency', (value, code) => `${value} ${code}`)`
+   * 
+   * @param {string} name
+   * @param {function(value:*, ...args):*} filter
+   */
+  static registerFilter(name, filter) {
+    SchemaTemplates.registerFilter(name, filter);
+  }
+
+  /**
+   * Compares two versions of a schema to detect changes which may break existing models
+   * 
+   * Both schemas are walked with their references hydrated. Each difference is reported as
+   * `{path, pointer, kind, breaking, from, to}`, e.g. `required-added`, `type-narrowed`,
+   * `enum-widened`, `constraint-tightened`, `property-removed` or `variant-added`.
+   * A change is breaking when a model valid against the old schema may be invalid against the new one.
+   * 
+   * @param {Schema|Object} oldSchema a Schema or a schema document
+   * @param {Schema|Object} newSchema a Schema or a schema document
+   * @return {{compatible: boolean, changes: Array<Object>}} report, compatible when no change is breaking
+   */
+  static compare(oldSchema, newSchema) {
+    const wrap = (schema) => {
+      return schema instanceof Schema ? schema : new Schema(lodash.cloneDeep(schema));
+    };
+    return new SchemaComparator(wrap(oldSchema), wrap(newSchema)).compare();
   }
 
   /**
@@ -235,7 +592,7 @@ class Schema {
    * @param {*} callback {function(name:string, property:object, required:boolean):boolean} callback Invoked for each property in the schema
    */
   static walkSubschemaRecursive(subSchema, parent, keyPath, cb) {
-    ObjectUtils.walkObjectRecursive(subSchema, parent, keyPath, new SchemaWalkerCallback(cb).cb);
+    ObjectUtils.walkObjectRecursive(subSchema, parent, keyPath, new SchemaWalkerCallback(cb).cb, SchemaPath.append);
   }
 
   /**
@@ -250,26 +607,132 @@ class Schema {
    * any of the properties child properties, if any. Return true to continue descending into those
    * child properties or false to avoid doing so. In either case, iteration will continue over the
    * properties at the same level in the schema. There is no provision for stopping iteration
-   * prematurely.
+   * prematurely, use `visit` to stop or to walk subschemas other than `properties`.
    *
    * @param {function(name:string, property:object, required:boolean):boolean} cb Invoked for each property in the schema
    */
   walkProperties(cb) {
-    this.walkSubschemaRecursive(this.properties, null, '', cb);
+    Schema.walkSubschemaRecursive(this.schema.properties, this.schema, '', cb);
+  }
+
+  /**
+   * Visits every subschema of the schema as written: `properties`, `items` (including tuples),
+   * `additionalItems`, `additionalProperties`, `patternProperties`, `definitions`, `dependencies`,
+   * `allOf` / `anyOf` / `oneOf` / `not` and `if` / `then` / `else`. References are not followed.
+   *
+   * Hooks receive the subschema and its context, including its JSON `pointer` and the model `path`
+   * template of the values it describes (`sections[*].title`). `enter` returns `SchemaVisitor.SKIP`
+   * to skip the subschemas of a subschema, either hook returns `SchemaVisitor.STOP` to end the
+   * traversal (see `SchemaVisitor`).
+   *
+   * @param {function(subSchema:Object, context:Object):*|{enter: function, leave: function}} visitor
+   *    a function invoked when entering each subschema, or `enter` / `leave` hooks
+   * @return {boolean} false if the traversal was stopped
+   */
+  visit(visitor) {
+    return new SchemaVisitor(visitor).visit(this.document);
   }
 
   /**
    * Retrieves the schema for the specified path using dot notation
    * 
-   * @param {string} path to retrieve
+   * When the model is supplied, tuple items, `oneOf` / `anyOf` variants and conditional
+   * keywords are resolved using the values found along the path. Without it, the first
+   * variant (or conditional subschema) defining a property is used.
+   * 
+   * @param {string|Array<Object>} path to retrieve
+   * @param {*} [model] the model the path refers to
    * @return {?Object} subschema at the specified path
    */
-  getSubschemaFromPath(path) {
+  getSubschemaFromPath(path, model) {
     // get the subschema at sections.header.title
-    // transform into properties.sections.properties.header.properties.title
+    // by descending through properties.sections.properties.header.properties.title
     // resolve directives['en-US'] => directives.en-US
-    const hydratedPath = SchemaPath.hydratePath(path);
-    return lodash.get(this.schema, hydratedPath);
+    // recursive references are hydrated on demand as the path descends through them
+    const segments = SchemaPath.parse(path);
+    let subSchema = this.resolveSubschema(this.schema);
+    let value = model;
+
+    for (let i = 0; subSchema && i < segments.length; i++) {
+      if (model !== undefined) {
+        subSchema = this.effectiveSubschema(subSchema, value);
+        subSchema = this.whichVariant(subSchema, value) || subSchema;
+      }
+      const segment = segments[i];
+      if (segment.index !== undefined) {
+        subSchema = this.itemsSubschema(subSchema, segment.index);
+        value = Array.isArray(value) ? value[segment.index] : undefined;
+      } else {
+        subSchema = this.propertySubschema(subSchema, segment.key);
+        value = lodash.isObject(value) ? value[segment.key] : undefined;
+      }
+    }
+
+    if (subSchema && model !== undefined) {
+      subSchema = this.effectiveSubschema(subSchema, value);
+      subSchema = this.whichVariant(subSchema, value) || subSchema;
+    }
+    return subSchema;
+  }
+
+  /**
+   * Retrieves the subschema of a property, looking through `allOf`, `oneOf`, `anyOf`
+   * and the subschemas of conditional keywords
+   * 
+   * Properties not found in `properties` use `additionalProperties` when it is a subschema
+   * 
+   * @param {Object} subSchema the object subschema
+   * @param {string} key the property name
+   * @return {?Object} subschema of the property
+   */
+  propertySubschema(subSchema, key) {
+    const resolved = this.resolveSubschema(subSchema);
+    if (!resolved) {
+      return undefined;
+    }
+    if (resolved.properties && lodash.has(resolved.properties, [key])) {
+      return this.resolveSubschema(resolved.properties[key]);
+    }
+    const variants = (this.variantsOf(resolved) || []).concat(this.conditionalSubschemas(resolved));
+    for (let i = 0; i < variants.length; i++) {
+      const found = this.propertySubschema(variants[i], key);
+      if (found) {
+        return found;
+      }
+    }
+    if (lodash.isPlainObject(resolved.additionalProperties)) {
+      return this.resolveSubschema(resolved.additionalProperties);
+    }
+    return undefined;
+  }
+
+  /**
+   * Retrieves the subschema of array items, looking through `allOf`, `oneOf` and `anyOf`
+   * 
+   * For tuples (`items: [...]`), the subschema at index is returned
+   * or `additionalItems` past the end of the tuple.
+   * 
+   * @param {Object} subSchema the array subschema
+   * @param {number} [index = 0] the index of the item
+   * @return {?Object} subschema of the items
+   */
+  itemsSubschema(subSchema, index = 0) {
+    const resolved = this.resolveSubschema(subSchema);
+    if (!resolved) {
+      return undefined;
+    }
+    if (Array.isArray(resolved.items)) {
+      if (index < resolved.items.length) {
+        return this.resolveSubschema(resolved.items[index]);
+      }
+      return lodash.isPlainObject(resolved.additionalItems) ?
+        this.resolveSubschema(resolved.additionalItems) : undefined;
+    }
+    if (resolved.items) {
+      return this.resolveSubschema(resolved.items);
+    }
+    const variant = (this.variantsOf(resolved) || []).find((one) => { return one.items; });
+    return variant && this.itemsSubschema(variant, index);
   }
 
   /**
@@ -280,13 +743,27 @@ class Schema {
    * 
    * For all other types, a simple result of the specified type at node is returned
    * 
+   * With `options.generate`, realistic sample data which is valid by construction is
+   * generated instead (see `SchemaSampler`)
+   * 
    * @param {Object} node the Subschema to create
    * @param {Object} [options = {removeEmptyNodes: true}] options
+   * @param {Object} [options.model] current values conditional keywords (`if` / `then` / `else`,
+   *    `dependencies`...) are evaluated against, in addition to the data created. The data created
+   *    for a conditional subschema takes the values of the model for its properties
+   * @param {boolean} [options.generate] true to generate sample data
+   * @param {number|string} [options.seed] seed for deterministic sample data
+   * @param {number} [options.optionalProbability = 0.5] probability of generating optional properties
+   * @param {number} [options.maxDepth = 4] depth beyond which only required sample data is generated
    * @return {*} value
    */
   createDataFromSchema(node, options = {
     removeEmptyNodes: true
   }) {
+    if (options.generate) {
+      return new SchemaSampler(this, options).generate(node || this.schema);
+    }
+    node = this.resolveSubschema(node);
 
     const computeExample = (nodeAt, path, parent, key, exampleCache) => {
       let example = nodeAt.examples && nodeAt.examples[0];
@@ -368,6 +845,22 @@ class Schema {
         const valueType = nodeAt.type.find((vt) => { return valueTypes.includes(vt); });
         return constructValueFromNode(nodeAt, isRequired, valueType || nodeAt.type[0], path, parent, key, exampleCache);
       }
+      const variant = lodash.head(this.variantsOf(nodeAt));
+      if (!type && variant) {
+        // `oneOf` / `anyOf` in place of a type -- create the first variant
+        if (variant.properties) {
+          return this.createDataFromSchema(variant, options);
+        }
+        return constructValueFromNode(variant, isRequired, null, path, parent, key, exampleCache);
+      }
+      if (!type) {
+        // no type constraint (`const`, `enum` or `not` only...)
+        if (options.typeOnly) {
+          return undefined;
+        }
+        const intrinsic = lodash.has(nodeAt, 'const') ? nodeAt.const : lodash.head(nodeAt.enum);
+        return createWithDefault(nodeAt, isRequired, intrinsic, path, parent, key, exampleCache);
+      }
       throw new Error(`unknown type ${type}`);
     };
 
@@ -380,10 +873,34 @@ class Schema {
       const startAt = node || this;
       const obj = {};
       Schema.walkSubschemaRecursive(startAt.properties, node || null, '', (path, leaf, required, parent, key) => {
-        const value = constructValueFromNode(leaf, required, null, path, parent, key, node && node.examples);
+        // recursive references are not expanded, only the value of the referenced node is created
+        const resolved = this.resolveSubschema(leaf);
+        const isComposite = resolved !== leaf && !leaf.$ref;
+        if ((isComposite || this.isConditional(resolved)) && resolved.properties) {
+          // `allOf` composite or conditional subschema -- its properties come from several subschemas
+          lodash.set(obj, path, this.createDataFromSchema(resolved, {
+            ...options,
+            model: lodash.get(options.model, path),
+          }));
+          return false;
+        }
+        const value = constructValueFromNode(resolved, required, null, path, parent, key, node && node.examples);
         lodash.set(obj, path, value);
+        return true;
       });
 
+      const conditional = this.resolveSubschema(node || this.schema);
+      if (this.isConditional(conditional)) {
+        // evaluate the conditions against the data created (and the current model)
+        // and create the data again from the subschema they apply
+        const values = lodash.merge({}, obj, options.model);
+        const effective = this.effectiveSubschema(conditional, values);
+        const created = this.createDataFromSchema(effective, options);
+        // the data takes the values of the model the conditions were evaluated against
+        const modelValues = lodash.pick(options.model, Object.keys(effective.properties || {}));
+        return lodash.isPlainObject(created) ? lodash.merge(created, lodash.cloneDeep(modelValues)) : created;
+      }
+
       if (options.removeEmptyNodes) {
         // remove anything that isn't required...
         return ObjectUtils.removeEmptyNodes(obj);
@@ -403,13 +920,33 @@ class Schema {
    * @return {boolean} true if the schema matches, false if not
    */
   isMatch(schema, value) {
+    schema = this.resolveSubschema(schema);
+
+    if (schema.not && this.isMatch(schema.not, value)) {
+      return false;
+    }
+    if (schema.enum && !schema.enum.some((one) => { return lodash.isEqual(one, value); })) {
+      return false;
+    }
+    if (lodash.has(schema, 'const') && !lodash.isEqual(schema.const, value)) {
+      return false;
+    }
+    const variants = this.variantsOf(schema);
+    if (variants && !variants.some((one) => { return this.isVariantMatch(one, value); })) {
+      return false;
+    }
+    if (schema.type === undefined) {
+      // no type constraint
+      return true;
+    }
+
     let types = schema.type;
 
     if (!Array.isArray(types)) {
       types = [types];
     }
 
-    return types.find((type) => {
+    return types.some((type) => {
       if (type === 'string') {
         return lodash.isString(value);
       }
@@ -429,15 +966,15 @@ class Schema {
         return value === null;
       }
       if (type === 'array' && Array.isArray(value)) {
-        const items = schema.items;
-        // TODO support `anyOf`
-        const hasVariant = !!items.oneOf;
-
         let matches = true;
 
-        value.forEach((i) => {
-          if (hasVariant) {
-            if (!this.whichSubschema(items, i)) {
+        value.forEach((i, index) => {
+          const items = this.itemsSubschema(schema, index);
+          if (!items) {
+            // past the end of a tuple without `additionalItems`
+            matches = matches && schema.additionalItems !== false;
+          } else if (this.variantsOf(items)) {
+            if (!this.whichVariant(items, i)) {
               matches = false;
             }
           } else if (!this.isMatch(items, i)) {
@@ -461,45 +998,220 @@ class Schema {
    * @throws {Error} if not an array
    */  
   whichSubschema(arrSchema, value) {
-    // TODO support `anyOf`
-    if (!arrSchema.items.oneOf) {
+    const items = this.resolveSubschema(arrSchema.items);
+    if (!this.variantsOf(items)) {
       throw new Error('unexpected intrinsic used to determine subschema.');
     }
-
-    const which = arrSchema.items.oneOf.find((one) => {
-      let matches = true;
-
-      if (one.type === 'object') {
-        Schema.walkSubschemaRecursive(one.properties, one, '', (path, leaf, required) => {
-          const v = lodash.get(value, path);
-
-          if (v === undefined && required) {
-            matches = false;
-          }
-
-          if (v !== undefined && !this.isMatch(leaf, v)) {
-            matches = false;
-          }
-
-          // this will break out of the cycle if we encounter a something that doesn't match
-          return matches;
-        });
-      } else {
-        matches = this.isMatch(one, value);
-      }
-      return matches;
-    });
-
-    return which;
+    return this.whichVariant(items, value);
   }
 
   /**
-   * Creates an array element using the specified schema
+   * Determines which `oneOf` or `anyOf` variant of a subschema matches the specified model
    * 
-   * @param {Object} arrSchema the array schema
-   * @param {?Object} variantType a variant type if the array supports variants
-   * @return {Object} new array element
-   * @throws {Error} if the array is a variant but no variant was specified or the variant is invalid
+   * The variant is selected by `selectVariant`. Ambiguous values are reported to the logger,
+   * or throw with `options.strictVariants`.
+   * 
+   * @param {Object} subSchema the subschema with variants
+   * @param {*} value the value to find a schema for
+   * @return {?Object} the matching variant or undefined
+   * @throws {Error} if the value is ambiguous and `options.strictVariants` is set
+   */
+  whichVariant(subSchema, value) {
+    const { variant, ambiguous, matches } = this.selectVariant(subSchema, value);
+    if (ambiguous) {
+      const message = `ambiguous oneOf, variants ${matches.join(', ')} match ${JSON.stringify(value)}`;
+      if (this.options.strictVariants) {
+        throw new Error(message);
+      }
+      if (this.logger) {
+        this.logger.debug(message);
+      }
+    }
+    return variant;
+  }
+
+  /**
+   * Selects the `oneOf` or `anyOf` variant of a subschema matching a value
+   * 
+   * Values with the tag of a discriminator (see `discriminatorOf`) are looked up by their tag,
+   * an unknown tag matches no variant. Other values are matched structurally and get the first
+   * matching variant. Every `oneOf` variant is tried: values matching several are `ambiguous`,
+   * as no discriminator tells the variants apart.
+   * 
+   * @param {Object} subSchema the subschema with variants
+   * @param {*} value
+   * @return {{variant: ?Object, ambiguous: boolean, matches: Array<number>}} the variant, undefined
+   *    if none matches, and the indices of the matching variants (`anyOf`: the first only)
+   */
+  selectVariant(subSchema, value) {
+    const variants = this.variantsOf(subSchema) || [];
+    const discriminator = this.discriminatorOf(subSchema);
+    if (discriminator) {
+      const { tagged, variant } = discriminator.lookup(value);
+      if (tagged) {
+        return { variant, ambiguous: false, matches: variant ? [variants.indexOf(variant)] : [] };
+      }
+    }
+
+    if (!lodash.get(this.resolveSubschema(subSchema), 'oneOf')) {
+      const index = variants.findIndex((one) => { return this.isVariantMatch(one, value); });
+      return { variant: variants[index], ambiguous: false, matches: index === -1 ? [] : [index] };
+    }
+    const matches = [];
+    variants.forEach((one, index) => {
+      if (this.isVariantMatch(one, value)) {
+        matches.push(index);
+      }
+    });
+    return { variant: variants[matches[0]], ambiguous: matches.length > 1, matches };
+  }
+
+  /**
+   * Determines if two values match the same `oneOf` / `anyOf` variant of a subschema
+   * 
+   * @param {?Object} subSchema
+   * @param {*} a
+   * @param {*} b
+   * @return {boolean} true if they match the same variant or the subschema has no variants
+   */
+  isSameVariant(subSchema, a, b) {
+    const resolved = subSchema && this.resolveSubschema(subSchema);
+    if (!resolved || !this.variantsOf(resolved)) {
+      return true;
+    }
+    return this.whichVariant(resolved, a) === this.whichVariant(resolved, b);
+  }
+
+  /**
+   * Resolves the subschema describing a value: its conditional keywords are evaluated
+   * (see `effectiveSubschema`) and its variant selected
+   * 
+   * @param {?Object} subSchema
+   * @param {*} value
+   * @return {?Object} subschema
+   */
+  valueSubschema(subSchema, value) {
+    if (!subSchema) {
+      return undefined;
+    }
+    const effective = this.effectiveSubschema(this.resolveSubschema(subSchema), value);
+    return this.whichVariant(effective, value) || effective;
+  }
+
+  /**
+   * Retrieves the `x-key` hint of the items of an array subschema, the name of the
+   * property identifying items
+   * 
+   * @param {?Object} subSchema the array subschema
+   * @return {?string} the name of the property identifying items
+   */
+  itemKey(subSchema) {
+    if (!subSchema || !lodash.isPlainObject(subSchema.items)) {
+      return undefined;
+    }
+    return this.resolveSubschema(subSchema.items)['x-key'];
+  }
+
+  /**
+   * Retrieves the discriminator telling the variants of a subschema apart by a tag property:
+   * an OpenAPI style `discriminator: {propertyName, mapping}`, or a property every variant
+   * declares with a distinct `const` (see `SchemaDiscriminator`)
+   * 
+   * @param {Object} subSchema the subschema with variants
+   * @return {?SchemaDiscriminator} discriminator or undefined
+   * @throws {Error} if `discriminator.mapping` refers to a subschema which is not a variant
+   */
+  discriminatorOf(subSchema) {
+    const resolved = this.resolveSubschema(subSchema);
+    if (!lodash.isPlainObject(resolved)) {
+      return undefined;
+    }
+    if (!this.discriminators.has(resolved)) {
+      this.discriminators.set(resolved, SchemaDiscriminator.of(this, resolved));
+    }
+    return this.discriminators.get(resolved);
+  }
+
+  /**
+   * Retrieves the reference a subschema was hydrated from, or the reference it still holds
+   * 
+   * @param {?Object} subSchema
+   * @return {?string} reference or undefined
+   */
+  referenceOf(subSchema) {
+    if (!lodash.isPlainObject(subSchema)) {
+      return undefined;
+    }
+    return typeof subSchema.$ref === 'string' ? subSchema.$ref : this.referenceOrigins.get(subSchema);
+  }
+
+  /**
+   * Retrieves the hydrated `oneOf` or `anyOf` variants of a subschema
+   * 
+   * @param {Object} subSchema
+   * @return {?Array<Object>} variants or undefined if the subschema has none
+   */
+  variantsOf(subSchema) {
+    const resolved = this.resolveSubschema(subSchema);
+    const variants = resolved && (resolved.oneOf || resolved.anyOf);
+    if (!Array.isArray(variants)) {
+      return undefined;
+    }
+    return variants.map((one) => { return this.resolveSubschema(one); });
+  }
+
+  /**
+   * Determines if a variant matches the specified model.
+   * 
+   * Object variants match when every required property is present and
+   * every property present matches its subschema
+   * 
+   * @param {Object} variant the variant subschema
+   * @param {*} value the value to test
+   * @return {boolean} true if the variant matches
+   */
+  isVariantMatch(variant, value) {
+    const one = this.resolveSubschema(variant);
+    let matches = !(one.not && this.isMatch(one.not, value));
+
+    if (matches && (one.type === 'object' || (!one.type && one.properties))) {
+      if (!lodash.isPlainObject(value)) {
+        return false;
+      }
+      Schema.walkSubschemaRecursive(one.properties, one, '', (path, leaf, required) => {
+        const v = lodash.get(value, path);
+
+        if (v === undefined && required) {
+          matches = false;
+        }
+
+        if (v !== undefined && !this.isMatch(leaf, v)) {
+          matches = false;
+        }
+
+        // this will break out of the cycle if we encounter a something that doesn't match
+        return matches;
+      });
+      const variants = this.variantsOf(one);
+      if (matches && variants) {
+        matches = variants.some((nested) => { return this.isVariantMatch(nested, value); });
+      }
+    } else if (matches) {
+      matches = this.isMatch(one, value);
+    }
+    return matches;
+  }
+
+  /**
+   * Creates an array element using the specified schema
+   * 
+   * Variants are specified by their subschema or, when the items have a discriminator,
+   * by their tag. Elements of variants with a discriminator hold their tag.
+   * 
+   * @param {Object} arrSchema the array schema
+   * @param {?Object|string} variantType a variant type or tag if the array supports variants
+   * @return {Object} new array element
+   * @throws {Error} if the array is a variant but no variant was specified or the variant is invalid
    */  
   createNewArrayElement(arrSchema, variantType) {
     if (!arrSchema.items) {
@@ -507,18 +1219,34 @@ class Schema {
     }
 
     let node;
-    // TODO support `anyOf`
-    if (arrSchema.items.oneOf) {
-      if (!variantType) {
+    const items = this.resolveSubschema(arrSchema.items);
+    const variants = items.oneOf || items.anyOf;
+    if (variants) {
+      if (variantType === undefined || variantType === null) {
         throw new Error('unspecified type creating array element with type variant...');
       }
-      const found = arrSchema.items.oneOf.find((one) => { return one === variantType; });
-      if (!found) {
-        throw new Error('type not found creating array element with type variant...');
+      const discriminator = this.discriminatorOf(items);
+      if (!lodash.isPlainObject(variantType)) {
+        node = discriminator && discriminator.variants.get(variantType);
+        if (!node) {
+          throw new Error(`variant ${variantType} not found creating array element`);
+        }
+      } else {
+        const found = variants.find((one) => {
+          return one === variantType || this.resolveSubschema(one) === variantType;
+        });
+        if (!found) {
+          throw new Error('type not found creating array element with type variant...');
+        }
+        node = variantType;
+      }
+      const tag = discriminator && discriminator.tags.get(this.resolveSubschema(node));
+      if (tag !== undefined) {
+        const element = this.createDataFromSchema(node);
+        return lodash.isPlainObject(element) ? { [discriminator.propertyName]: tag, ...lodash.omit(element, discriminator.propertyName) } : element;
       }
-      node = variantType;
     } else {
-      node = arrSchema.items;
+      node = items;
     }
 
     if (Array.isArray(node)) {
@@ -538,31 +1266,25 @@ class Schema {
    * @param {Object} context the object we are hydrating
    */
   hydrateReference(value, key, context) {
-    const obj = lodash.get(this.schema, SchemaPath.normalizeSchemaReferencePath(value));
-    lodash.forOwn(obj, (v, k) => {
-      const copy = lodash.cloneDeep(v);
-      const source = context[k];
-      if (lodash.isObject(source)) {
-        context[k] = lodash.merge(
-          copy,
-          source
-        );
-      } else if (Array.isArray(source)) {
-        context[k] = source.concat(copy);
-      } else {
-        context[k] = copy;
-      }
-
-    });
-    // delete the $ref key so we don't rehydrate this reference again
+    const tokens = SchemaPath.pointerTokens(value);
+    // an empty pointer (`#`) refers to the root schema
+    const obj = tokens.length ? lodash.get(this.schema, tokens) : this.schema;
+    // copy the referenced node first: when it is an ancestor, the copy holds this reference as is
+    const hydrated = mergeReference(obj, lodash.omit(context, '$ref'));
+    // delete the $ref key so we don't rehydrate this reference again.
+    // If the referenced node is itself a reference, its `$ref` was copied above
     delete context.$ref;
+    if (!this.referenceOrigins.has(context)) {
+      this.referenceOrigins.set(context, value);
+    }
+    Object.assign(context, hydrated);
     return null;
   }
 
 
   /**
-   * Hydrates references in the schema. This only hydrates internal references. 
-   * External reference hydration is not supported.
+   * Hydrates references in the schema. This only hydrates internal references,
+   * external references are imported into `definitions` by the constructor. 
    * 
    * The reference hydrating is in-place hydration supporting in-document `JSON Schema` references
    * for instance properties only based on 
@@ -570,19 +1292,206 @@ class Schema {
    * 
    * This is a limited implementation according to 
    * https://stackoverflow.com/questions/17595377/json-schema-regarding-use-of-ref,
+   * 
+   * Recursive references (a reference found while hydrating that same reference) are
+   * left in place and hydrated on demand by `resolveReference`.
    */
   hydrateReferences() {
-    // find all `$ref` nodes and replace them with a hydrated reference.
-    // keep iterating until we've found them all.
-    // This will re-start the search at the top of the schema,
-    //    replacing the refs with the hydrated copy of the node, with each iteration.
-    // This ensures that rehydrated references that contain refs also get hydrated.
-    do {
-      while (ObjectUtils.findKeyDeep(this.properties, '$ref', this.hydrateReference.bind(this))) {
-        // intentionally blank. all work done in `hydrateReference`
+    // `references` are the references being hydrated by the ancestors of `node`
+    const hydrate = (node, references, isNameMap) => {
+      if (Array.isArray(node)) {
+        node.forEach((item) => {
+          hydrate(item, references, false);
+        });
+        return;
+      }
+      if (!lodash.isPlainObject(node)) {
+        return;
+      }
+      if (isNameMap) {
+        Object.keys(node).forEach((key) => {
+          hydrate(node[key], references, false);
+        });
+        return;
+      }
+
+      let hydrating = references;
+      while (typeof node.$ref === 'string') {
+        if (hydrating.includes(node.$ref)) {
+          // recursive reference. leave it to be hydrated lazily
+          return;
+        }
+        hydrating = hydrating.concat(node.$ref);
+        this.hydrateReference(node.$ref, '$ref', node);
+      }
+
+      Object.keys(node).forEach((key) => {
+        // definitions of the root schema are the targets of references, not instance properties
+        const isDefinitions = node === this.schema && key === 'definitions';
+        if (!isDefinitions && !dataKeywords.includes(key)) {
+          hydrate(node[key], hydrating, nameMapKeywords.includes(key));
+        }
+      });
+    };
+
+    // the root schema is being hydrated, so references to it (`#`) are recursive
+    hydrate(this.schema, ['#'], false);
+  }
+
+  /**
+   * Resolves a recursive reference left in place by `hydrateReferences`
+   * 
+   * The hydrated node is cached so the same subschema is returned each time
+   * the reference is reached. Nodes that are not references are returned as is.
+   * 
+   * @param {?Object} subSchema the subschema to resolve
+   * @return {?Object} hydrated subschema
+   * @throws {Error} if the reference only refers to itself
+   */
+  resolveReference(subSchema) {
+    if (!subSchema || typeof subSchema.$ref !== 'string') {
+      return subSchema;
+    }
+
+    let resolved = this.lazyReferences.get(subSchema);
+    if (!resolved) {
+      const hydrated = [];
+      resolved = lodash.clone(subSchema);
+      while (typeof resolved.$ref === 'string') {
+        if (hydrated.includes(resolved.$ref)) {
+          throw new Error(`circular reference ${resolved.$ref}`);
+        }
+        hydrated.push(resolved.$ref);
+        this.hydrateReference(resolved.$ref, '$ref', resolved);
       }
-      // check once more to see if there is anything left to hydrate ...
-    } while (ObjectUtils.findKeyDeep(this.properties, '$ref'));
+      this.lazyReferences.set(subSchema, resolved);
+    }
+    return resolved;
+  }
+
+  /**
+   * Resolves a subschema for matching, walking and creation:
+   * recursive references are hydrated and `allOf` members are merged into a composite subschema.
+   * 
+   * Composites are cached so the same subschema is returned each time it is resolved.
+   * 
+   * @param {?Object} subSchema the subschema to resolve
+   * @return {?Object} resolved subschema
+   */
+  resolveSubschema(subSchema) {
+    const resolved = this.resolveReference(subSchema);
+    if (!resolved || !Array.isArray(resolved.allOf)) {
+      return resolved;
+    }
+
+    let composite = this.compositeSchemas.get(resolved);
+    if (!composite) {
+      const members = [
+        lodash.omit(resolved, 'allOf'),
+        ...resolved.allOf.map((one) => { return this.resolveSubschema(one); }),
+      ];
+      // conditions of each member are kept apart, merging them would mix their `then` and `else`
+      composite = mergeSubschemas(members.map((one) => { return lodash.omit(one, ['if', 'then', 'else']); }));
+      this.compositeSchemas.set(resolved, composite);
+      this.compositeConditions.set(composite, lodash.flatMap(members, (one) => { return this.conditionsOf(one); }));
+    }
+    return composite;
+  }
+
+  /**
+   * Retrieves the `if` / `then` / `else` conditions of a subschema, including those of `allOf` members
+   * 
+   * @param {Object} subSchema a resolved subschema
+   * @return {Array<Object>} conditions
+   */
+  conditionsOf(subSchema) {
+    if (!lodash.isPlainObject(subSchema)) {
+      return [];
+    }
+    const conditions = this.compositeConditions.get(subSchema) || [];
+    if (subSchema.if === undefined) {
+      return conditions;
+    }
+    return [lodash.pick(subSchema, ['if', 'then', 'else'])].concat(conditions);
+  }
+
+  /**
+   * Determines if a subschema has conditional keywords
+   * (`if` / `then` / `else`, `dependencies`, `dependentRequired` or `dependentSchemas`)
+   * 
+   * @param {Object} subSchema a resolved subschema
+   * @return {boolean} true if the subschema is conditional
+   */
+  isConditional(subSchema) {
+    return !!subSchema && (this.conditionsOf(subSchema).length > 0 ||
+      !!subSchema.dependencies || !!subSchema.dependentRequired || !!subSchema.dependentSchemas);
+  }
+
+  /**
+   * Computes the effective subschema for a value by evaluating the conditional keywords
+   * of the subschema against the value:
+   *  - the `then` (or `else`) of each `if` is merged in
+   *  - `dependencies` / `dependentRequired` of the properties present are added to `required`
+   *  - `dependencies` / `dependentSchemas` subschemas of the properties present are merged in
+   * 
+   * Subschemas without conditional keywords are returned as is.
+   * 
+   * @param {Object} subSchema
+   * @param {*} value the value the subschema applies to
+   * @return {Object} effective subschema, without conditional keywords
+   */
+  effectiveSubschema(subSchema, value) {
+    let effective = this.resolveSubschema(subSchema);
+
+    // applied subschemas may have conditions of their own
+    for (let depth = 0; this.isConditional(effective) && depth < 8; depth++) {
+      const applied = [];
+      const required = [];
+
+      this.conditionsOf(effective).forEach((condition) => {
+        const matches = typeof condition.if === 'boolean' ? condition.if : this.getSubschemaValidator(condition.if)(value);
+        const branch = matches ? condition.then : condition.else;
+        if (branch !== undefined) {
+          applied.push(this.resolveSubschema(branch));
+        }
+      });
+
+      const present = lodash.isPlainObject(value) ? Object.keys(value) : [];
+      present.forEach((key) => {
+        [effective.dependencies, effective.dependentRequired, effective.dependentSchemas].forEach((dependencies) => {
+          const dependency = dependencies && dependencies[key];
+          if (Array.isArray(dependency)) {
+            required.push(...dependency);
+          } else if (lodash.isPlainObject(dependency)) {
+            applied.push(this.resolveSubschema(dependency));
+          }
+        });
+      });
+
+      effective = mergeSubschemas([
+        lodash.omit(effective, ['if', 'then', 'else', 'dependencies', 'dependentRequired', 'dependentSchemas']),
+        ...applied,
+        required.length ? { required } : {},
+      ]);
+    }
+    return effective;
+  }
+
+  /**
+   * Retrieves the subschemas conditional keywords may apply
+   * (`then`, `else`, `dependencies` and `dependentSchemas` subschemas)
+   * 
+   * @param {Object} subSchema a resolved subschema
+   * @return {Array<Object>} subschemas
+   */
+  conditionalSubschemas(subSchema) {
+    const branches = lodash.flatMap(this.conditionsOf(subSchema), (condition) => {
+      return [condition.then, condition.else].filter(lodash.isPlainObject);
+    });
+    const dependencies = [subSchema.dependencies, subSchema.dependentSchemas].filter(Boolean);
+    return branches
+      .concat(lodash.flatMap(dependencies, (one) => { return lodash.values(one).filter(lodash.isPlainObject); }))
+      .map((one) => { return this.resolveSubschema(one); });
   }
 
   /**
@@ -607,40 +1516,316 @@ class Schema {
    * @param {function(subschema:Object, model:*, path:string)} cb Invoked for each value in the model
    */
   walkModelInPlace(subSchema, model, node, path, cb) {
+    subSchema = this.effectiveSubschema(subSchema, node);
     cb(subSchema, node, path);
+    this.walkModelProperties(subSchema, model, path, cb);
+  }
 
-    Schema.walkSubschemaRecursive(subSchema.properties, subSchema, path, (leafPath, leafSchema) => {
+  /**
+   * Walks the model for the properties of the specified subschema,
+   * descending into recursive references only as deep as the model goes.
+   * Conditional keywords are evaluated against the model to find the properties to walk.
+   * 
+   * @param {Object} subSchema
+   * @param {Object} model 
+   * @param {string} path
+   * @param {function(subschema:Object, model:*, path:string)} cb Invoked for each value in the model
+   */
+  walkModelProperties(subSchema, model, path, cb) {
+    subSchema = this.effectiveSubschema(subSchema, path ? lodash.get(model, path) : model);
+    this.walkModelVariant(subSchema, model, path, cb);
+
+    Schema.walkSubschemaRecursive(subSchema.properties, subSchema, path, (leafPath, rawLeafSchema) => {
       const leafModel = lodash.get(model, leafPath);
+      const leafSchema = this.effectiveSubschema(rawLeafSchema, leafModel);
       cb(leafSchema, leafModel, leafPath);
 
-      if ((leafSchema.type === 'array') && Array.isArray(lodash.get(model, leafPath))) {
-        const arr = lodash.get(model, leafPath);
-        const items = leafSchema.items;
-        // TODO support `anyOf`
-        const hasVariant = !!items.oneOf;
-
-        arr.forEach((item, index) => {
-          const arrSchema = hasVariant ?
-            this.whichSubschema(leafSchema, item) : items;
+      if ((leafSchema.type === 'array') && Array.isArray(leafModel)) {
+        leafModel.forEach((item, index) => {
+          const items = this.itemsSubschema(leafSchema, index);
+          const arrSchema = this.variantsOf(items) ?
+            this.whichVariant(items, item) : items;
 
           if (arrSchema) {
             this.walkModelInPlace(arrSchema, model, item, `${leafPath}[${index}]`, cb);
           }
         });
       }
+
+      if (leafSchema !== rawLeafSchema) {
+        // recursive references are only walked where there is a model,
+        // `allOf` composites and conditional subschemas always are
+        if (!rawLeafSchema.$ref || (leafModel !== undefined && leafModel !== null)) {
+          this.walkModelProperties(leafSchema, model, leafPath, cb);
+        }
+        return false;
+      }
+
+      this.walkModelVariant(leafSchema, model, leafPath, cb);
+      return true;
     });
   }
 
   /**
-   * Merges the content of the model at the specified path with the specified subschema
+   * Walks the properties of the `oneOf` or `anyOf` variant matching the model at path
    * 
-   * @param {*} model 
-   * @param {*} path 
-   * @param {*} data 
-   * @param {*} subSchema 
+   * @param {Object} subSchema
+   * @param {Object} model 
+   * @param {string} path
+   * @param {function(subschema:Object, model:*, path:string)} cb Invoked for each value in the model
+   */
+  walkModelVariant(subSchema, model, path, cb) {
+    const node = path ? lodash.get(model, path) : model;
+    if (node === undefined || Array.isArray(node) || !this.variantsOf(subSchema)) {
+      return;
+    }
+
+    const variant = this.whichVariant(subSchema, node);
+    if (variant) {
+      this.walkModelProperties(variant, model, path, cb);
+    }
+  }
+
+  /**
+   * Normalizes a loosely typed model using the schema
+   * 
+   * Walks the model with `walkModel` and
+   *  - coerces scalars to the declared `type` (`'12'` => 12, `'true'` => true, a single value => [value]...)
+   *  - fills missing values which have a `default` (only where their parent exists)
+   *  - removes properties not allowed by `additionalProperties: false`
+   * 
+   * The model supplied is not modified.
+   * 
+   * @param {*} model the model to normalize
+   * @param {Object} [options = {}] options
+   * @param {boolean} [options.coerce = true] false to leave types as they are
+   * @param {boolean} [options.defaults = true] false to leave missing values missing
+   * @param {boolean} [options.removeAdditional = true] false to keep additional properties
+   * @return {{model: *, changes: Array<Object>}} the normalized model and every change made,
+   *    each change is `{path, action: 'coerce'|'default'|'remove', from, to}`
+   */
+  normalize(model, options = {}) {
+    const settings = {
+      coerce: true,
+      defaults: true,
+      removeAdditional: true,
+      ...options,
+    };
+    const changes = [];
+    let result = lodash.cloneDeep(model);
+
+    const get = (path) => { return path ? lodash.get(result, path) : result; };
+    const set = (path, value) => {
+      if (path) {
+        lodash.set(result, path, value);
+      } else {
+        result = value;
+      }
+    };
+
+    this.walkModel(result, (subSchema, ignored, path) => {
+      let value = get(path);
+
+      if (value === undefined) {
+        const hasParent = !path || lodash.isObject(get(SchemaPath.parentPath(path)));
+        if (settings.defaults && hasParent && lodash.has(subSchema, 'default')) {
+          value = lodash.cloneDeep(subSchema.default);
+          set(path, value);
+          changes.push({
+            path,
+            action: 'default',
+            from: undefined,
+            to: value,
+          });
+        }
+        return;
+      }
+
+      if (settings.coerce) {
+        const coerced = this.coerceToSchema(subSchema, value);
+        if (coerced.coerced) {
+          set(path, coerced.value);
+          changes.push({
+            path,
+            action: 'coerce',
+            from: value,
+            to: coerced.value,
+          });
+          value = coerced.value;
+        }
+      }
+
+      if (settings.removeAdditional && lodash.isPlainObject(value)) {
+        const effective = this.whichVariant(subSchema, value) || subSchema;
+        if (effective.additionalProperties === false) {
+          const patterns = Object.keys(effective.patternProperties || {}).map((pattern) => {
+            return new RegExp(pattern, 'u');
+          });
+          Object.keys(value).forEach((key) => {
+            const allowed = lodash.has(effective.properties, [key]) ||
+              patterns.some((pattern) => { return pattern.test(key); });
+            if (!allowed) {
+              changes.push({
+                path: SchemaPath.append(path, key),
+                action: 'remove',
+                from: value[key],
+                to: undefined,
+              });
+              delete value[key];
+            }
+          });
+        }
+      }
+    });
+
+    return {
+      model: result,
+      changes,
+    };
+  }
+
+  /**
+   * Computes the RFC 6902 JSON Patch turning one model into another
+   * 
+   * Array items with an `x-key` hint are matched by key so reordered items are moved
+   * and changed items are edited in place (see `SchemaPatch`)
+   * 
+   * @param {*} oldModel
+   * @param {*} newModel
+   * @return {Array<Object>} JSON Patch operations, their paths are JSON pointers
+   */
+  diff(oldModel, newModel) {
+    return new SchemaPatch(this).diff(oldModel, newModel);
+  }
+
+  /**
+   * Applies an RFC 6902 JSON Patch to a model and validates the result
+   * 
+   * The model supplied is not modified.
+   * 
+   * @param {*} model
+   * @param {Array<Object>} patch JSON Patch operations
+   * @return {*} the patched model
+   * @throws {Error} if an operation fails or touches a path which is not in the schema
+   * @throws {SchemaValidationError} if the patched model is invalid
+   */
+  applyPatch(model, patch) {
+    return new SchemaPatch(this).apply(model, patch);
+  }
+
+  /**
+   * Converts the values of formats with a codec from JSON, e.g. `date-time` strings to `Date` objects
+   * 
+   * The model is walked with `walkModel`, codecs are those registered on this Schema,
+   * then with `Schema.registerCodec` or `Schema.registerFormat`. `date-time` and `date` have codecs by default.
+   * 
+   * @param {*} model
+   * @return {*} decoded copy of the model
+   */
+  decode(model) {
+    return this.transcode(model, 'decode');
+  }
+
+  /**
+   * Converts the values of formats with a codec back to JSON, e.g. `Date` objects to `date-time` strings
+   * 
+   * @param {*} model a model returned by `decode`
+   * @return {*} encoded copy of the model
+   */
+  encode(model) {
+    return this.transcode(model, 'encode');
+  }
+
+  /**
+   * Converts the values of formats with a codec
+   * 
+   * @param {*} model
+   * @param {string} direction `decode` or `encode`
+   * @return {*} converted copy of the model
+   */
+  transcode(model, direction) {
+    const conversions = [];
+    this.walkModel(model, (subSchema, value, path) => {
+      const codec = subSchema && this.codecOf(subSchema.format);
+      if (codec && value !== undefined && value !== null) {
+        conversions.push({ keys: SchemaPath.toKeys(path), value: codec[direction](value, subSchema) });
+      }
+    });
+
+    let result = lodash.cloneDeep(model);
+    conversions.forEach(({ keys, value }) => {
+      if (keys.length) {
+        lodash.set(result, keys, value);
+      } else {
+        result = value;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Retrieves the codec of a format
+   * 
+   * @param {string} format
+   * @return {?Object} codec or undefined
+   */
+  codecOf(format) {
+    if (typeof format !== 'string') {
+      return undefined;
+    }
+    return this.extensions.codecs[format] || globalExtensions.codecs[format];
+  }
+
+  /**
+   * Coerces a value to the type declared by a subschema.
+   * 
+   * A value which is not an array is wrapped in an array when the subschema is an array
+   * 
+   * @param {Object} subSchema
+   * @param {*} value
+   * @return {{coerced: boolean, value: *}} the coerced value, `coerced` false if unchanged
+   */
+  coerceToSchema(subSchema, value) {
+    const types = lodash.castArray(lodash.get(this.resolveSubschema(subSchema), 'type', []));
+    if (!types.length || types.some((type) => { return isOfType(type, value); })) {
+      return {
+        coerced: false,
+        value,
+      };
+    }
+
+    if (types.includes('array')) {
+      const item = this.coerceToSchema(this.itemsSubschema(subSchema, 0) || {}, value);
+      return {
+        coerced: true,
+        value: [item.value],
+      };
+    }
+
+    for (let i = 0; i < types.length; i++) {
+      const coerced = coerceScalar(types[i], value);
+      if (coerced.coerced) {
+        return coerced;
+      }
+    }
+    return {
+      coerced: false,
+      value,
+    };
+  }
+
+  /**
+   * Merges data into the model at the specified path using the merge strategies of the subschema
+   * (see `merge`)
+   * 
+   * @param {*} model the model, modified in place
+   * @param {string} path the path of the value to merge data into
+   * @param {*} data the data to merge, wrapped in an array when the subschema is an array
+   * @param {Object} subSchema the subschema at path
    * @return {Object} merged model
    */
   mergeWithModelUsingSubschema(model, path, data, subSchema) {
+    subSchema = this.resolveSubschema(subSchema);
     if (!lodash.get(model, path)) {
       lodash.set(model, path, this.createDataFromSchema(subSchema, {
         typeOnly: true
@@ -650,7 +1835,303 @@ class Schema {
     if (subSchema.type === 'array' && !Array.isArray(data)) {
       data = [data];
     }
-    return lodash.merge(model, lodash.set({}, path, data));
+    return lodash.set(model, path, new SchemaMerger(this).merge(subSchema, lodash.get(model, path), data));
+  }
+
+  /**
+   * Merges an incoming model into a base model, walking both with the schema.
+   * 
+   * The strategy of each value is declared with `$sprout.merge`: `replace`, `append`, `union`,
+   * `{ mergeByKey: 'id' }` or `deep`. Objects are merged deeply by default, arrays are
+   * replaced unless their items have an `x-key` hint, in which case they are merged by key.
+   * Items of variant arrays are matched to their variant with `whichSubschema`,
+   * items of different variants are replaced.
+   * 
+   * Neither model is modified.
+   * 
+   * @param {*} base
+   * @param {*} incoming
+   * @return {*} merged model
+   * @throws {Error} if the schema declares an unknown merge strategy
+   */
+  merge(base, incoming) {
+    return new SchemaMerger(this).merge(this.schema, base, incoming);
+  }
+
+  /**
+   * Reports authoring mistakes of the schema: unresolved references, invalid `default` and
+   * `examples`, `required` properties missing from `properties`, unused `definitions`,
+   * indistinguishable variants and `$pathRef` templates referring to missing paths.
+   *
+   * Diagnostics are `{rule, severity, pointer, message}` (see `SchemaLinter` for the rules).
+   *
+   * `schema.lint({rules: {'unused-definition': 'off', 'undeclared-required': 'error'}})`
+   *
+   * @param {Object} [options = {}] options
+   * @param {Object} [options.rules] severities by rule id, `error`, `warning` or `off`
+   * @param {Schema} [options.context = this] the schema of the model `$pathRef` templates read
+   * @return {Array<Object>} diagnostics
+   * @throws {Error} if a rule or a severity is unknown
+   */
+  lint(options = {}) {
+    return new SchemaLinter(this, options).lint();
+  }
+
+  /**
+   * Copies the schema with every reference inlined, leaving the schema as is.
+   * Recursive references are left in place along with the `definitions` they refer to.
+   *
+   * Inlined subschemas record the reference they came from as `$sprout.provenance: { ref, uri }`,
+   * `uri` being the external uri of imported definitions (see `SchemaBundler`).
+   *
+   * @param {Object} [options = {}] options
+   * @param {boolean} [options.provenance = true] false to leave out `$sprout.provenance`
+   * @return {Object} dereferenced schema
+   */
+  dereference(options = {}) {
+    return new SchemaBundler(this, options).dereference();
+  }
+
+  /**
+   * Copies the schema into a single document, leaving the schema as is: external references
+   * are imported into `definitions`, equal definitions are merged and references rewritten.
+   *
+   * Imported definitions record the uri they came from as `$sprout.provenance: { ref, uri }`.
+   *
+   * @param {Object} [options = {}] options
+   * @param {boolean} [options.provenance = true] false to leave out `$sprout.provenance`
+   * @return {Object} bundled schema
+   */
+  bundle(options = {}) {
+    return new SchemaBundler(this, options).bundle();
+  }
+
+  /**
+   * Generates TypeScript declarations (`.d.ts` text) for the models of the schema
+   * 
+   * Objects become interfaces whose members are optional unless `required`, `oneOf` / `anyOf`
+   * and multiple types become unions, `enum` / `const` literal types and each of the
+   * `definitions` a named type. Descriptions become JSDoc comments.
+   * The output is deterministic (see `SchemaTypeScript`).
+   * 
+   * @param {Object} [options = {}] options
+   * @param {string} [options.rootName] the name of the root type, from the `title` of the schema
+   *    or `Model` when omitted
+   * @param {boolean} [options.export = true] false to declare types without exporting them
+   * @param {string} [options.indent = '  '] the indentation of members
+   * @return {string} declarations
+   */
+  toTypeScript(options = {}) {
+    return new SchemaTypeScript(this, options).generate();
+  }
+
+  /**
+   * Describes the form editing the models of the schema as a tree of fields,
+   * driven by the `$sprout.ui` annotations of the schema (see `SchemaForm` for the vocabulary)
+   * 
+   * @param {Object} [options = {}] options
+   * @param {string} [options.path = ''] the path of the field to describe, the whole model by default
+   * @param {*} [options.model] the model the path refers to, selecting variants along the path
+   * @param {string} [options.locale = this.options.locale] the locale of labels and help
+   * @return {Object} the field at path
+   * @throws {Error} if there is no subschema at path
+   */
+  toFormDescriptor(options = {}) {
+    const path = SchemaPath.format(options.path || '');
+    const subSchema = path ? this.getSubschemaFromPath(path, options.model) : this.schema;
+    if (!subSchema) {
+      throw new Error(`no subschema found at ${path}`);
+    }
+    const segments = SchemaPath.parse(path);
+    const parent = segments.length ? this.getSubschemaFromPath(segments.slice(0, -1), options.model) : undefined;
+    const key = segments.length ? lodash.last(SchemaPath.toKeys(segments)) : undefined;
+    return new SchemaForm(this, options).describe(subSchema, path, {
+      key,
+      required: !!parent && Array.isArray(parent.required) && parent.required.includes(key),
+    });
+  }
+
+  /**
+   * Determines if a field described by `toFormDescriptor` is visible for a model
+   * 
+   * @param {Object} field
+   * @param {*} model
+   * @param {string} [path = field.path] the concrete path of the field, giving the indices of `[*]` items
+   * @return {boolean} true if the field is not hidden and all of its conditions hold
+   */
+  isFieldVisible(field, model, path = field.path) {
+    if (field.hidden) {
+      return false;
+    }
+    const concrete = SchemaPath.parse(path);
+    return (field.conditions || []).every((condition) => {
+      const segments = SchemaPath.parse(condition.path).map((segment, i) => {
+        return segment.index === '*' && concrete[i] ? concrete[i] : segment;
+      });
+      const value = segments.length ? lodash.get(model, SchemaPath.toKeys(segments)) : model;
+      return this.getSubschemaValidator(condition.schema)(value);
+    });
+  }
+
+  /**
+   * Registers a migration upgrading models from one version of the schema to the next
+   * 
+   * `migrate(model, context)` returns the upgraded model (or modifies it in place and returns nothing).
+   * The context supplies
+   *  - `schema` this Schema, to look up subschemas with `getSubschemaFromPath`
+   *  - `from` / `to` the versions of the migration
+   *  - `report(path, description)` to report a change
+   *  - `create(path)` to create a missing value at path of the model being migrated
+   *    with `createDataFromSchema`, reporting it
+   * 
+   * @param {string|number} from the version upgraded from
+   * @param {string|number} to the version upgraded to
+   * @param {function(model:*, context:Object):*} migrate
+   * @return {Schema} this
+   * @throws {Error} if a migration from that version is already registered
+   */
+  registerMigration(from, to, migrate) {
+    this.migrations.register(from, to, migrate);
+    return this;
+  }
+
+  /**
+   * Retrieves the version of the schema, declared with `$sprout.version`
+   * 
+   * @return {?string} version
+   */
+  version() {
+    const version = lodash.get(this.schema, '$sprout.version');
+    return version === undefined ? undefined : String(version);
+  }
+
+  /**
+   * Retrieves the version of a model, held by the `versionProperty` option (`version` by default)
+   * 
+   * @param {*} model
+   * @return {?string} version
+   */
+  versionOf(model) {
+    const version = lodash.get(model, [this.options.versionProperty || 'version']);
+    return version === undefined || version === null ? undefined : String(version);
+  }
+
+  /**
+   * Upgrades a model to the version of the schema by running the chain of registered migrations,
+   * then validates it
+   * 
+   * The model supplied is not modified.
+   * 
+   * @param {*} model
+   * @param {Object} [options = {}] options
+   * @param {string|number} [options.from = versionOf(model)] the version of the model
+   * @param {boolean} [options.validate = true] false to skip validating the upgraded model
+   * @return {{model: *, from: string, to: string, changes: Array<Object>, patch: Array<Object>}}
+   *    the upgraded model, the changes reported by the migrations as `{from, to, path, description}`
+   *    and the JSON Patch from the original model (see `diff`)
+   * @throws {Error} if either version is unknown or there is no chain of migrations between them
+   * @throws {SchemaValidationError} if the upgraded model is invalid
+   */
+  migrate(model, options = {}) {
+    const to = this.version();
+    const from = options.from === undefined ? this.versionOf(model) : String(options.from);
+    if (to === undefined) {
+      throw new Error('the schema does not declare a $sprout.version');
+    }
+    if (from === undefined) {
+      throw new Error('unable to determine the version of the model');
+    }
+
+    const changes = [];
+    let result = lodash.cloneDeep(model);
+    this.migrations.chain(from, to).forEach((migration) => {
+      const report = (path, description) => {
+        changes.push({
+          from: migration.from,
+          to: migration.to,
+          path: SchemaPath.format(path),
+          description,
+        });
+      };
+      const context = {
+        schema: this,
+        from: migration.from,
+        to: migration.to,
+        report,
+        create: (path) => {
+          const keys = SchemaPath.toKeys(path);
+          if (lodash.get(result, keys) === undefined) {
+            const subSchema = this.getSubschemaFromPath(path, result);
+            if (!subSchema) {
+              throw new Error(`no subschema found at ${SchemaPath.format(path)}`);
+            }
+            lodash.set(result, keys, this.createDataFromSchema(subSchema));
+            report(path, 'created');
+          }
+          return lodash.get(result, keys);
+        },
+      };
+      const migrated = migration.migrate(result, context);
+      if (migrated !== undefined) {
+        result = migrated;
+      }
+    });
+
+    if (lodash.isPlainObject(result)) {
+      result[this.options.versionProperty || 'version'] = lodash.get(this.schema, '$sprout.version');
+    }
+    if (options.validate !== false) {
+      this.validate(result);
+    }
+    return {
+      model: result,
+      from,
+      to,
+      changes,
+      patch: this.diff(model, result),
+    };
+  }
+
+  /**
+   * Retrieves the compiled validator for the schema.
+   * 
+   * The validator is compiled once and recompiled when `this.schema` is replaced
+   * or formats and keywords are registered.
+   * Call `invalidateValidator` after modifying the schema in place.
+   * 
+   * @return {function(value:*):boolean} compiled Ajv validator
+   */
+  getValidator() {
+    const revision = `${globalExtensions.revision}.${this.extensions.revision}`;
+    if (!this.validator || this.validator.schema !== this.schema || this.validator.revision !== revision) {
+      this.invalidateValidator();
+      globalExtensions.install(this.ajv);
+      this.extensions.install(this.ajv);
+      // references are in-document once external ones are imported, the root is keyed rather than identified.
+      // A root whose compilation threw is still registered
+      this.ajv.removeSchema(this.validatorKey);
+      this.ajv.addSchema(lodash.omit(this.schema, ['$id', 'id']), this.validatorKey);
+      this.validator = {
+        schema: this.schema,
+        revision,
+        validate: this.ajv.getSchema(this.validatorKey),
+        subschemas: new WeakMap(),
+        // the schemas compiled for subschemas, Ajv caches them by their serialized schema
+        compiled: [],
+      };
+    }
+    return this.validator.validate;
+  }
+
+  /**
+   * Discards the compiled validator so the schema is recompiled on the next validation
+   */
+  invalidateValidator() {
+    if (this.validator) {
+      this.ajv.removeSchema(this.validatorKey);
+      this.validator.compiled.forEach((one) => { this.ajv.removeSchema(one); });
+      this.validator = null;
+    }
   }
 
   /**
@@ -658,42 +2139,223 @@ class Schema {
    * for each value in the model, supplying the specified schema
    * 
    * @param {Object} value model to validate
+   * @param {Object} [options = {}] options
+   * @param {string} [options.locale = this.options.locale] the locale of messages
    * @throws {SchemaValidationError} 
    */
-  validate(value) {
-    const validate = ajv.compile(this.schema);
+  validate(value, options = {}) {
+    const validate = this.getValidator();
     const valid = validate(value);
     if (!valid) {
-      const errors = validate.errors.map((error, index) => {
+      throw new SchemaValidationError(this.formatErrors(validate.errors, value, options));
+    }
+  }
+
+  /**
+   * Validates a model like `validate`, including the async `$sprout` keywords registered with
+   * `async: true` (see `SchemaExtensions` and `recordKeywords`).
+   * 
+   * Each run supersedes the runs of this Schema still pending: their keywords are signaled
+   * to abort and their promises reject with an `AbortError`.
+   * 
+   * @param {*} value model to validate, copied so later changes do not affect the run
+   * @param {Object} [options = {}] options
+   * @param {string} [options.locale = this.options.locale] the locale of messages
+   * @return {Promise<void>} resolves when the model is valid
+   * @throws {SchemaValidationError} (rejects) if the model is invalid
+   */
+  async validateAsync(value, options = {}) {
+    if (this.asyncValidation) {
+      this.asyncValidation.abort();
+    }
+    const controller = new AbortController();
+    this.asyncValidation = controller;
+
+    const model = lodash.cloneDeep(value);
+    const keywords = {
+      ...globalExtensions.keywords,
+      ...this.extensions.keywords,
+    };
+    try {
+      const errors = await new SchemaAsyncValidator(this, keywords).validate(model, controller.signal);
+      if (errors.length) {
+        throw new SchemaValidationError(this.formatErrors(errors, model, options));
+      }
+    } finally {
+      if (this.asyncValidation === controller) {
+        this.asyncValidation = null;
+      }
+    }
+  }
 
-        const path = error.dataPath.split('.').slice(1).join('.');
-        const parentPath = error.dataPath.split('.').slice(1, -1).join('.');
-        const key = error.dataPath.split('.').pop().replace(/\[\d{1,}\]/g, '');
-        const subschema = this.getSubschemaFromPath(path);
-        const label = lodash.get(subschema, '$sprout.ui.label') || key;
-        const defaultMessage = `${label} ${error.message}`;
-        const message = lodash.get(subschema, '$sprout.ui.message', defaultMessage);
-        const errorText = ajv.errorsText([validate.errors[index]]);
+  /**
+   * Validates the value at the specified path of the model against the subschema at that path.
+   * 
+   * Errors are reported relative to the root of the model. A missing value is reported
+   * as a `required` error when the parent subschema requires it.
+   * 
+   * @param {string} path the path of the value to validate
+   * @param {Object} model the model containing the value
+   * @param {Object} [options = {}] options
+   * @param {string} [options.locale = this.options.locale] the locale of messages
+   * @throws {SchemaValidationError} 
+   * @throws {Error} if there is no subschema at path
+   */
+  validateAt(path, model, options = {}) {
+    const segments = SchemaPath.parse(path);
+    if (!segments.length) {
+      this.validate(model, options);
+      return;
+    }
+
+    const subschema = this.getSubschemaFromPath(segments, model);
+    if (!subschema) {
+      throw new Error(`no subschema found at ${SchemaPath.format(segments)}`);
+    }
 
-        // eslint-disable-next-line no-console
-        console.log(`${errorText} @ ${path}`);
+    const value = lodash.get(model, SchemaPath.toKeys(segments));
+    const last = lodash.last(segments);
+
+    if (value === undefined) {
+      const parentPath = segments.slice(0, -1);
+      const parent = this.getSubschemaFromPath(parentPath, model);
+      if (last.key !== undefined && parent && Array.isArray(parent.required) && parent.required.includes(last.key)) {
+        throw new SchemaValidationError(this.formatErrors([{
+          keyword: 'required',
+          dataPath: SchemaPath.toDataPath(parentPath),
+          schemaPath: '#/required',
+          params: { missingProperty: last.key },
+          message: `should have required property '${last.key}'`,
+        }], model, options));
+      }
+      return;
+    }
 
+    const validate = this.getSubschemaValidator(subschema);
+    if (!validate(value)) {
+      const prefix = SchemaPath.toDataPath(segments);
+      throw new SchemaValidationError(this.formatErrors(validate.errors.map((error) => {
         return {
-          errorText,
-          error,
-          subschema,
-          parentPath,
-          path,
-          message
+          ...error,
+          dataPath: `${prefix}${error.dataPath}`,
         };
-      });
-      throw new SchemaValidationError(errors);
+      }), model, options));
+    }
+  }
+
+  /**
+   * Retrieves the compiled validator for a subschema of the schema.
+   * 
+   * References left in place in the subschema are resolved against the root schema, `#`
+   * referring to the whole schema. Validators are cached until the schema validator is invalidated.
+   * 
+   * @param {Object} subschema
+   * @return {function(value:*):boolean} compiled Ajv validator
+   */
+  getSubschemaValidator(subschema) {
+    this.getValidator();
+    const cache = this.validator.subschemas;
+
+    let validate = cache.get(subschema);
+    if (!validate) {
+      // references, `#` included, refer to the root schema rather than to the subschema
+      const compiled = { allOf: [rebaseReferences(lodash.omit(subschema, '$id'), this.validatorKey)] };
+      validate = this.ajv.compile(compiled);
+      this.validator.compiled.push(compiled);
+      cache.set(subschema, validate);
+    }
+    return validate;
+  }
+
+  /**
+   * Shapes Ajv errors into the errors reported by `SchemaValidationError`
+   * 
+   * Labels come from `$sprout.ui.label`. Messages come from, in order of precedence,
+   * `$sprout.ui.messages[keyword]` and `$sprout.ui.message` of the subschema at the path
+   * of each error, then from the catalogs registered on this Schema and globally.
+   * Labels and messages are either strings or objects keyed by locale, messages are
+   * templates interpolated with the Ajv error params, `{label}`, `{path}` and `{message}`.
+   * 
+   * @param {Array<Object>} errors Ajv errors, their `dataPath` relative to the root of the model
+   * @param {*} [model] the model validated
+   * @param {Object} [options = {}] options
+   * @param {string} [options.locale = this.options.locale] the locale of messages
+   * @return {Array<Object>} errors
+   */
+  formatErrors(errors, model, options = {}) {
+    const chain = localeChain(
+      options.locale || this.options.locale,
+      options.fallbackLocales || this.options.fallbackLocales
+    );
+
+    return errors.map((error) => {
+      const segments = SchemaPath.parse(error.dataPath);
+      const path = SchemaPath.format(segments);
+      const parentPath = SchemaPath.format(segments.slice(0, -1));
+      const keySegment = lodash.findLast(segments, (segment) => { return segment.key !== undefined; });
+      const key = keySegment ? keySegment.key : '';
+      const subschema = this.getSubschemaFromPath(segments, model);
+      const label = localize(lodash.get(subschema, '$sprout.ui.label'), chain) || key;
+      const template = this.messageTemplate(error.keyword, subschema, chain);
+      const message = template ? interpolate(template, {
+        ...error.params,
+        keyword: error.keyword,
+        message: error.message,
+        label,
+        path,
+      }) : `${label} ${error.message}`;
+      const errorText = this.ajv.errorsText([error]);
+
+      if (this.logger) {
+        this.logger.debug(`${errorText} @ ${path}`);
+      }
+
+      return {
+        errorText,
+        error,
+        subschema,
+        parentPath,
+        path,
+        pointer: SchemaPath.toPointer(segments),
+        message
+      };
+    });
+  }
+
+  /**
+   * Finds the message template for a keyword, trying each locale of the chain in turn
+   * 
+   * @param {string} keyword the Ajv keyword
+   * @param {?Object} subschema the subschema at the path of the error
+   * @param {Array<string>} chain the locale chain
+   * @return {?string} template or undefined
+   */
+  messageTemplate(keyword, subschema, chain) {
+    const ui = lodash.get(subschema, '$sprout.ui', {});
+    const locales = chain.length ? chain : [undefined];
+
+    for (let i = 0; i < locales.length; i++) {
+      const locale = locales[i] ? [locales[i]] : [];
+      const template = localize(lodash.get(ui, ['messages', keyword]), locale) ||
+        localize(ui.message, locale) ||
+        this.catalogs.template(keyword, locales[i]) ||
+        globalCatalogs.template(keyword, locales[i]);
+      if (template) {
+        return template;
+      }
     }
+    return undefined;
   }
 }
 
 module.exports = {
   Schema,
   SchemaPath,
+  SchemaModel,
+  SchemaVisitor,
   SchemaValidationError,
+  SchemaRegistry,
+  FileSystemResolver,
+  MemoryRecordProvider,
+  recordKeywords,
 };
@@ -0,0 +1,92 @@
+const lodash = require('lodash');
+
+const SchemaPath = require('./SchemaPath');
+const { keywordError, appliesTo } = require('./SchemaExtensions');
+
+/**
+ * @class {SchemaAsyncValidator}
+ *
+ * Validates a model with the schema, then with the async `$sprout` keywords of the
+ * subschemas of its values, found by walking the model with `walkModel`.
+ *
+ * Errors of async keywords have the same shape as Ajv errors, their `schemaPath` is
+ * relative to the subschema of the value (`#/$sprout/unique`).
+ */
+class SchemaAsyncValidator {
+  /**
+   * @param {Schema} schema
+   * @param {Object} keywords the `$sprout` keywords by name
+   */
+  constructor(schema, keywords) {
+    this.schema = schema;
+    this.keywords = lodash.pickBy(keywords, (definition) => { return definition.async; });
+  }
+
+  /**
+   * Validates a model
+   *
+   * @param {*} model
+   * @param {AbortSignal} signal aborted when the run is stale
+   * @return {Promise<Array<Object>>} Ajv errors, empty for a valid model
+   */
+  async validate(model, signal) {
+    const validate = this.schema.getValidator();
+    const errors = validate(model) ? [] : validate.errors.slice();
+
+    const checks = [];
+    const checked = new Set();
+    this.schema.walkModel(model, (subSchema, data, path) => {
+      const sprout = lodash.get(subSchema, '$sprout');
+      if (data === undefined || !lodash.isPlainObject(sprout)) {
+        return;
+      }
+      Object.keys(sprout).forEach((name) => {
+        const definition = this.keywords[name];
+        const key = `${path}\u0000${name}`;
+        if (definition && !checked.has(key) && appliesTo(definition, data)) {
+          checked.add(key);
+          checks.push(this.check(name, definition, sprout[name], subSchema, model, path, signal));
+        }
+      });
+    });
+
+    const failures = (await Promise.all(checks)).filter(Boolean);
+    if (signal.aborted) {
+      throw signal.reason;
+    }
+    return errors.concat(failures);
+  }
+
+  /**
+   * Validates the value at a path with an async keyword
+   *
+   * @param {string} name
+   * @param {Object} definition
+   * @param {*} value the value of the keyword
+   * @param {Object} subSchema
+   * @param {*} model
+   * @param {string} path
+   * @param {AbortSignal} signal
+   * @return {Promise<?Object>} the Ajv error, undefined if the value is valid
+   */
+  async check(name, definition, value, subSchema, model, path, signal) {
+    const segments = SchemaPath.parse(path);
+    const data = segments.length ? lodash.get(model, SchemaPath.toKeys(segments)) : model;
+    const parentData = segments.length > 1 ? lodash.get(model, SchemaPath.toKeys(segments.slice(0, -1))) : model;
+    const last = lodash.last(segments);
+    const property = last && (last.index !== undefined ? last.index : last.key);
+    const dataPath = SchemaPath.toDataPath(segments);
+
+    const valid = await definition.validate(value, data, subSchema, dataPath, segments.length ? parentData : undefined, property, model, signal);
+    if (valid) {
+      return undefined;
+    }
+    return {
+      ...keywordError(name, definition, value, data),
+      dataPath,
+      schemaPath: `#/$sprout/${SchemaPath.escapePointerToken(name)}`,
+    };
+  }
+}
+
+module.exports = SchemaAsyncValidator;
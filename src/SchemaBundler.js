@@ -0,0 +1,193 @@
+const lodash = require('lodash');
+
+const SchemaPath = require('./SchemaPath');
+const { dataKeywords, nameMapKeywords } = require('./SchemaKeywords');
+const { mergeReference } = require('./SchemaComposition');
+
+/**
+ * Determines if a reference refers to a definition or to a subschema of it
+ *
+ * @param {string} ref
+ * @param {string} key the name of the definition
+ * @return {boolean}
+ */
+function refersTo(ref, key) {
+  const pointer = `#/definitions/${SchemaPath.escapePointerToken(key)}`;
+  return ref === pointer || ref.startsWith(`${pointer}/`);
+}
+
+/**
+ * Invokes a callback for each subschema with a `$ref`, skipping data keywords
+ *
+ * @param {*} node
+ * @param {function(subschema:Object)} cb
+ * @param {boolean} [isNameMap = false] true if node maps names to subschemas
+ */
+function walkReferences(node, cb, isNameMap = false) {
+  if (Array.isArray(node)) {
+    node.forEach((item) => { walkReferences(item, cb); });
+  } else if (lodash.isPlainObject(node)) {
+    if (!isNameMap && typeof node.$ref === 'string') {
+      cb(node);
+    }
+    lodash.forOwn(node, (value, key) => {
+      if (isNameMap || !dataKeywords.includes(key)) {
+        walkReferences(value, cb, !isNameMap && nameMapKeywords.includes(key));
+      }
+    });
+  }
+}
+
+/**
+ * @class {SchemaBundler}
+ *
+ * Produces standalone copies of the document of a Schema, leaving the Schema as is.
+ *
+ * The document is the schema as written, its external references imported into `definitions`.
+ * With provenance, inlined subschemas record the reference they came from as
+ * `$sprout.provenance: { ref, uri }`, `uri` being the external uri of imported definitions.
+ */
+class SchemaBundler {
+  /**
+   * @param {Schema} schema
+   * @param {Object} [options = {}] options
+   * @param {boolean} [options.provenance = true] false to leave out `$sprout.provenance`
+   */
+  constructor(schema, options = {}) {
+    this.document = schema.document;
+    this.origins = schema.origins || {};
+    this.provenance = options.provenance !== false;
+  }
+
+  /**
+   * Inlines every reference.
+   *
+   * Recursive references cannot be inlined, they are left in place along with the
+   * `definitions` they refer to. Other `definitions` are removed.
+   *
+   * @return {Object} dereferenced copy of the document
+   */
+  dereference() {
+    const result = this.inline(lodash.omit(this.document, 'definitions'), []);
+    const definitions = {};
+    const pending = [];
+    const keep = (node) => {
+      walkReferences(node, (subschema) => {
+        const key = SchemaPath.pointerTokens(subschema.$ref)[1];
+        if (subschema.$ref.startsWith('#/definitions/') && !definitions[key]) {
+          pending.push(key);
+          definitions[key] = true;
+        }
+      });
+    };
+
+    keep(result);
+    while (pending.length) {
+      const key = pending.shift();
+      definitions[key] = this.inline(this.document.definitions[key], [`#/definitions/${SchemaPath.escapePointerToken(key)}`]);
+      keep(definitions[key]);
+    }
+    if (!lodash.isEmpty(definitions)) {
+      result.definitions = definitions;
+    }
+    return result;
+  }
+
+  /**
+   * Inlines the references of a node
+   *
+   * @param {*} node
+   * @param {Array<string>} stack the references being inlined
+   * @param {boolean} [isNameMap = false] true if node maps names to subschemas
+   * @return {*} copy of node
+   */
+  inline(node, stack, isNameMap = false) {
+    if (Array.isArray(node)) {
+      return node.map((item) => { return this.inline(item, stack); });
+    }
+    if (!lodash.isPlainObject(node)) {
+      return node;
+    }
+    if (isNameMap) {
+      return lodash.mapValues(node, (value) => { return this.inline(value, stack); });
+    }
+
+    const ref = node.$ref;
+    if (typeof ref === 'string' && ref.startsWith('#') && !stack.includes(ref)) {
+      const target = lodash.get(this.document, SchemaPath.pointerTokens(ref));
+      if (lodash.isPlainObject(target)) {
+        const inlined = this.inline(mergeReference(target, lodash.omit(node, '$ref')), stack.concat(ref));
+        if (this.provenance) {
+          lodash.set(inlined, ['$sprout', 'provenance'], lodash.omitBy({
+            ref,
+            uri: this.origins[ref],
+          }, lodash.isUndefined));
+        }
+        return inlined;
+      }
+    }
+
+    return lodash.mapValues(node, (value, key) => {
+      if (dataKeywords.includes(key)) {
+        return lodash.cloneDeep(value);
+      }
+      return this.inline(value, stack, nameMapKeywords.includes(key));
+    });
+  }
+
+  /**
+   * Gathers the document and every definition it refers to into a single document:
+   * external references are already imported into `definitions`, equal definitions are
+   * merged and the references to the definitions removed are rewritten.
+   *
+   * With provenance, imported definitions record the uri they came from.
+   *
+   * @return {Object} bundled copy of the document
+   */
+  bundle() {
+    const result = lodash.cloneDeep(this.document);
+    const definitions = result.definitions || {};
+
+    let merged = true;
+    while (merged) {
+      merged = false;
+      const keys = Object.keys(definitions);
+      for (let i = 0; i < keys.length && !merged; i++) {
+        const duplicate = keys.slice(0, i).find((key) => { return lodash.isEqual(definitions[key], definitions[keys[i]]); });
+        if (duplicate !== undefined) {
+          this.rewrite(result, keys[i], duplicate);
+          delete definitions[keys[i]];
+          merged = true;
+        }
+      }
+    }
+
+    if (this.provenance) {
+      lodash.forOwn(this.origins, (uri, ref) => {
+        const key = SchemaPath.pointerTokens(ref)[1];
+        if (lodash.isPlainObject(definitions[key])) {
+          lodash.set(definitions[key], ['$sprout', 'provenance'], { ref, uri });
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Rewrites the references to a definition as references to another
+   *
+   * @param {Object} document
+   * @param {string} from the name of the definition referred to
+   * @param {string} to the name of the definition to refer to instead
+   */
+  rewrite(document, from, to) {
+    walkReferences(document, (subschema) => {
+      if (refersTo(subschema.$ref, from)) {
+        const tokens = SchemaPath.pointerTokens(subschema.$ref).slice(2);
+        subschema.$ref = `#/definitions/${[to, ...tokens].map(SchemaPath.escapePointerToken).join('/')}`;
+      }
+    });
+  }
+}
+
+module.exports = SchemaBundler;
@@ -0,0 +1,412 @@
+const lodash = require('lodash');
+
+const SchemaPath = require('./SchemaPath');
+const SchemaVisitor = require('./SchemaVisitor');
+
+/**
+ * Keywords setting a lower bound, raising one rejects values which used to be valid
+ */
+const lowerBounds = ['minimum', 'exclusiveMinimum', 'minLength', 'minItems', 'minProperties'];
+
+/**
+ * Keywords setting an upper bound, lowering one rejects values which used to be valid
+ */
+const upperBounds = ['maximum', 'exclusiveMaximum', 'maxLength', 'maxItems', 'maxProperties'];
+
+/**
+ * Keywords constraining a value which any change may tighten
+ */
+const constraints = ['pattern', 'format', 'multipleOf', 'const'];
+
+/**
+ * Keywords of conditional subschemas
+ */
+const conditionKeywords = ['if', 'then', 'else', 'dependencies', 'dependentRequired', 'dependentSchemas'];
+
+/**
+ * Determines if a type allows the values of another type
+ *
+ * @param {Array<string>} types
+ * @param {string} type
+ * @return {boolean}
+ */
+function allowsType(types, type) {
+  return types.includes(type) || (type === 'integer' && types.includes('number'));
+}
+
+/**
+ * @class {SchemaComparator}
+ *
+ * Compares two versions of a schema and classifies their differences.
+ *
+ * A change is breaking when a value valid against the old schema may be invalid against
+ * the new one (a removed type, a new required property, a raised minimum...).
+ *
+ * Each change is reported as `{path, pointer, kind, breaking, from, to}` where `path` is the
+ * path template of the values concerned (see `SchemaVisitor`: `[*]` stands for any array item and
+ * `.*` for any property name) and `pointer` the JSON pointer of the subschema in the new schema
+ * (or in the old schema when it was removed).
+ *
+ * The subschemas of both versions are paired by keyword and key as `SchemaVisitor` enumerates them.
+ */
+class SchemaComparator {
+  /**
+   * @param {Schema} oldSchema
+   * @param {Schema} newSchema
+   */
+  constructor(oldSchema, newSchema) {
+    this.oldSchema = oldSchema;
+    this.newSchema = newSchema;
+    this.changes = [];
+    // the pairs of references of the subschemas being compared, outermost first
+    this.comparing = [];
+  }
+
+  /**
+   * Compares the schemas
+   *
+   * @return {{compatible: boolean, changes: Array<Object>}} report
+   */
+  compare() {
+    this.compareSubschemas(this.oldSchema.schema, this.newSchema.schema, '', '#');
+    return {
+      compatible: !this.changes.some((change) => { return change.breaking; }),
+      changes: this.changes,
+    };
+  }
+
+  /**
+   * Records a change
+   *
+   * @param {string} path
+   * @param {string} pointer
+   * @param {string} kind
+   * @param {boolean} breaking
+   * @param {*} from the old value of the keyword
+   * @param {*} to the new value of the keyword
+   */
+  report(path, pointer, kind, breaking, from, to) {
+    this.changes.push({
+      path,
+      pointer,
+      kind,
+      breaking,
+      from,
+      to,
+    });
+  }
+
+  /**
+   * Compares the subschemas of the same values.
+   *
+   * Recursive references are left in place and hydrated afresh at each level: a pair of
+   * references already being compared by an outer subschema is not compared again
+   *
+   * @param {*} oldSub
+   * @param {*} newSub
+   * @param {string} path
+   * @param {string} pointer
+   */
+  compareSubschemas(oldSub, newSub, path, pointer) {
+    const references = `${lodash.get(oldSub, '$ref', '')} ${lodash.get(newSub, '$ref', '')}`;
+    if (references === ' ') {
+      this.compareResolved(oldSub, newSub, path, pointer);
+    } else if (!this.comparing.includes(references)) {
+      this.comparing.push(references);
+      this.compareResolved(oldSub, newSub, path, pointer);
+      this.comparing.pop();
+    }
+  }
+
+  /**
+   * Resolves and compares the subschemas of the same values
+   *
+   * @param {*} oldSub
+   * @param {*} newSub
+   * @param {string} path
+   * @param {string} pointer
+   */
+  compareResolved(oldSub, newSub, path, pointer) {
+    const oldResolved = this.oldSchema.resolveSubschema(oldSub);
+    const newResolved = this.newSchema.resolveSubschema(newSub);
+    if (typeof oldResolved === 'boolean' || typeof newResolved === 'boolean') {
+      if (oldResolved !== newResolved) {
+        this.report(path, pointer, 'schema-changed', newResolved === false || oldResolved === true, oldResolved, newResolved);
+      }
+      return;
+    }
+    if (!lodash.isPlainObject(oldResolved) || !lodash.isPlainObject(newResolved)) {
+      return;
+    }
+
+    this.compareTypes(oldResolved, newResolved, path, pointer);
+    this.compareEnums(oldResolved, newResolved, path, pointer);
+    this.compareBounds(oldResolved, newResolved, path, pointer);
+    this.compareObjects(oldResolved, newResolved, path, pointer);
+    this.compareArrays(oldResolved, newResolved, path, pointer);
+    this.compareVariants(oldResolved, newResolved, path, pointer);
+
+    const oldConditions = lodash.pick(oldResolved, conditionKeywords);
+    const newConditions = lodash.pick(newResolved, conditionKeywords);
+    if (!lodash.isEqual(oldConditions, newConditions)) {
+      // conditions are not analysed, any change is assumed to reject values
+      this.report(path, pointer, 'conditions-changed', true, oldConditions, newConditions);
+    }
+  }
+
+  /**
+   * Compares `type`
+   *
+   * @param {Object} oldSub
+   * @param {Object} newSub
+   * @param {string} path
+   * @param {string} pointer
+   */
+  compareTypes(oldSub, newSub, path, pointer) {
+    if (lodash.isEqual(oldSub.type, newSub.type)) {
+      return;
+    }
+    const oldTypes = oldSub.type === undefined ? undefined : lodash.castArray(oldSub.type);
+    const newTypes = newSub.type === undefined ? undefined : lodash.castArray(newSub.type);
+    const narrowed = !!newTypes && (!oldTypes || oldTypes.some((type) => { return !allowsType(newTypes, type); }));
+    const widened = !newTypes || newTypes.some((type) => { return !allowsType(oldTypes, type); });
+
+    if (narrowed) {
+      this.report(path, `${pointer}/type`, 'type-narrowed', true, oldSub.type, newSub.type);
+    } else if (widened) {
+      this.report(path, `${pointer}/type`, 'type-widened', false, oldSub.type, newSub.type);
+    }
+  }
+
+  /**
+   * Compares `enum`
+   *
+   * @param {Object} oldSub
+   * @param {Object} newSub
+   * @param {string} path
+   * @param {string} pointer
+   */
+  compareEnums(oldSub, newSub, path, pointer) {
+    const from = oldSub.enum;
+    const to = newSub.enum;
+    if (lodash.isEqual(from, to)) {
+      return;
+    }
+    if (!to) {
+      this.report(path, `${pointer}/enum`, 'enum-removed', false, from, to);
+    } else if (!from) {
+      this.report(path, `${pointer}/enum`, 'enum-added', true, from, to);
+    } else if (lodash.differenceWith(from, to, lodash.isEqual).length) {
+      this.report(path, `${pointer}/enum`, 'enum-narrowed', true, from, to);
+    } else {
+      this.report(path, `${pointer}/enum`, 'enum-widened', false, from, to);
+    }
+  }
+
+  /**
+   * Compares bounds (`minimum`, `maxLength`...) and constraints (`pattern`, `format`, `multipleOf`, `const`)
+   *
+   * @param {Object} oldSub
+   * @param {Object} newSub
+   * @param {string} path
+   * @param {string} pointer
+   */
+  compareBounds(oldSub, newSub, path, pointer) {
+    const compare = (keyword, isTighter) => {
+      const from = oldSub[keyword];
+      const to = newSub[keyword];
+      if (lodash.isEqual(from, to)) {
+        return;
+      }
+      const tightened = to !== undefined && (from === undefined || isTighter(from, to));
+      this.report(path, `${pointer}/${keyword}`, tightened ? 'constraint-tightened' : 'constraint-loosened', tightened, from, to);
+    };
+
+    lowerBounds.forEach((keyword) => { compare(keyword, (from, to) => { return to > from; }); });
+    upperBounds.forEach((keyword) => { compare(keyword, (from, to) => { return to < from; }); });
+    constraints.forEach((keyword) => {
+      compare(keyword, (from, to) => { return keyword !== 'multipleOf' || from % to !== 0; });
+    });
+    if (!!oldSub.uniqueItems !== !!newSub.uniqueItems) {
+      const tightened = !!newSub.uniqueItems;
+      this.report(path, `${pointer}/uniqueItems`, tightened ? 'constraint-tightened' : 'constraint-loosened', tightened,
+        oldSub.uniqueItems, newSub.uniqueItems);
+    }
+  }
+
+  /**
+   * Compares `properties`, `required` and `additionalProperties`
+   *
+   * @param {Object} oldSub
+   * @param {Object} newSub
+   * @param {string} path
+   * @param {string} pointer
+   */
+  compareObjects(oldSub, newSub, path, pointer) {
+    const oldRequired = oldSub.required || [];
+    const newRequired = newSub.required || [];
+    lodash.difference(newRequired, oldRequired).forEach((key) => {
+      this.report(SchemaPath.append(path, key), `${pointer}/required`, 'required-added', true, undefined, key);
+    });
+    lodash.difference(oldRequired, newRequired).forEach((key) => {
+      this.report(SchemaPath.append(path, key), `${pointer}/required`, 'required-removed', false, key, undefined);
+    });
+
+    this.pairChildren(oldSub, newSub, 'properties', path, pointer).forEach((pair) => {
+      if (pair.to === undefined) {
+        // the values become additional properties
+        this.report(pair.path, pair.pointer, 'property-removed', newSub.additionalProperties === false, pair.from, undefined);
+      } else if (pair.from === undefined) {
+        this.report(pair.path, pair.pointer, 'property-added', false, undefined, pair.to);
+      } else {
+        this.compareSubschemas(pair.from, pair.to, pair.path, pair.pointer);
+      }
+    });
+
+    const from = oldSub.additionalProperties;
+    const to = newSub.additionalProperties;
+    if (lodash.isPlainObject(from) && lodash.isPlainObject(to)) {
+      this.comparePairs(this.pairChildren(oldSub, newSub, 'additionalProperties', path, pointer));
+    } else if (!lodash.isEqual(from, to)) {
+      const tightened = to === false || (lodash.isPlainObject(to) && from !== false);
+      this.report(path, `${pointer}/additionalProperties`,
+        tightened ? 'additional-properties-restricted' : 'additional-properties-allowed', tightened, from, to);
+    }
+  }
+
+  /**
+   * Pairs the subschemas of a keyword of the old and new subschemas by key (property name,
+   * tuple index...), see `SchemaVisitor.children`
+   *
+   * @param {Object} oldSub
+   * @param {Object} newSub
+   * @param {string} keyword
+   * @param {string} path
+   * @param {string} pointer
+   * @return {Array<{from: *, to: *, path: string, pointer: string}>} pairs in the order of the old
+   *    subschema then the new one, `from` or `to` is undefined when only one of them has the key
+   */
+  pairChildren(oldSub, newSub, keyword, path, pointer) {
+    const pairs = new Map();
+    const context = { path, pointer, depth: 0 };
+    const add = (subSchema, side) => {
+      SchemaVisitor.children(subSchema, context).forEach((child) => {
+        if (child.context.keyword === keyword) {
+          const key = String(child.context.key);
+          pairs.set(key, {
+            ...pairs.get(key),
+            [side]: child.subSchema,
+            path: child.context.path,
+            pointer: child.context.pointer,
+          });
+        }
+      });
+    };
+    add(oldSub, 'from');
+    add(newSub, 'to');
+    return Array.from(pairs.values());
+  }
+
+  /**
+   * Compares paired subschemas
+   *
+   * @param {Array<{from: *, to: *, path: string, pointer: string}>} pairs
+   */
+  comparePairs(pairs) {
+    pairs.forEach((pair) => {
+      this.compareSubschemas(pair.from, pair.to, pair.path, pair.pointer);
+    });
+  }
+
+  /**
+   * Compares `items` and `additionalItems`
+   *
+   * @param {Object} oldSub
+   * @param {Object} newSub
+   * @param {string} path
+   * @param {string} pointer
+   */
+  compareArrays(oldSub, newSub, path, pointer) {
+    const from = oldSub.items;
+    const to = newSub.items;
+    if (from === undefined && to === undefined) {
+      return;
+    }
+    if (from === undefined) {
+      this.report(`${path}[*]`, `${pointer}/items`, 'items-added', true, from, to);
+    } else if (to === undefined) {
+      this.report(`${path}[*]`, `${pointer}/items`, 'items-removed', false, from, to);
+    } else if (Array.isArray(from) && Array.isArray(to)) {
+      this.pairChildren(oldSub, newSub, 'items', path, pointer).forEach((pair) => {
+        if (pair.to === undefined) {
+          this.report(pair.path, pair.pointer, 'items-removed', newSub.additionalItems === false, pair.from, undefined);
+        } else if (pair.from === undefined) {
+          this.report(pair.path, pair.pointer, 'items-added', oldSub.additionalItems !== false, undefined, pair.to);
+        } else {
+          this.compareSubschemas(pair.from, pair.to, pair.path, pair.pointer);
+        }
+      });
+      if (!lodash.isEqual(oldSub.additionalItems, newSub.additionalItems)) {
+        this.compareSubschemas(
+          oldSub.additionalItems === undefined ? true : oldSub.additionalItems,
+          newSub.additionalItems === undefined ? true : newSub.additionalItems,
+          `${path}[*]`,
+          `${pointer}/additionalItems`
+        );
+      }
+    } else if (Array.isArray(from) || Array.isArray(to)) {
+      this.report(`${path}[*]`, `${pointer}/items`, 'items-changed', true, from, to);
+    } else {
+      this.comparePairs(this.pairChildren(oldSub, newSub, 'items', path, pointer));
+    }
+  }
+
+  /**
+   * Compares `oneOf` / `anyOf` variants.
+   *
+   * Equal variants are matched first, remaining variants are compared with the first variant of the same type.
+   *
+   * @param {Object} oldSub
+   * @param {Object} newSub
+   * @param {string} path
+   * @param {string} pointer
+   */
+  compareVariants(oldSub, newSub, path, pointer) {
+    const oldVariants = this.oldSchema.variantsOf(oldSub) || [];
+    const newVariants = this.newSchema.variantsOf(newSub) || [];
+    const keyword = newSub.oneOf ? 'oneOf' : 'anyOf';
+    if (!oldVariants.length && !newVariants.length) {
+      return;
+    }
+    if (!oldVariants.length || !newVariants.length) {
+      this.report(path, `${pointer}/${keyword}`, newVariants.length ? 'variants-added' : 'variants-removed',
+        !!newVariants.length, oldSub.oneOf || oldSub.anyOf, newSub.oneOf || newSub.anyOf);
+      return;
+    }
+
+    const unmatched = newVariants.slice();
+    const remaining = oldVariants.filter((variant) => {
+      const index = unmatched.findIndex((one) => { return lodash.isEqual(one, variant); });
+      if (index === -1) {
+        return true;
+      }
+      unmatched.splice(index, 1);
+      return false;
+    });
+
+    remaining.forEach((variant) => {
+      const index = unmatched.findIndex((one) => { return lodash.isEqual(one.type, variant.type); });
+      const counterpart = index === -1 ? undefined : unmatched.splice(index, 1)[0];
+      if (counterpart) {
+        this.compareSubschemas(variant, counterpart, path, `${pointer}/${keyword}/${newVariants.indexOf(counterpart)}`);
+      } else {
+        this.report(path, `${pointer}/${keyword}`, 'variant-removed', true, variant, undefined);
+      }
+    });
+    unmatched.forEach((variant) => {
+      this.report(path, `${pointer}/${keyword}/${newVariants.indexOf(variant)}`, 'variant-added', false, undefined, variant);
+    });
+  }
+}
+
+module.exports = SchemaComparator;
@@ -0,0 +1,63 @@
+const lodash = require('lodash');
+
+/**
+ * Merges the members of an `allOf` into a composite subschema.
+ * 
+ * `required` lists are combined and `type` and `enum` are narrowed to the values
+ * allowed by every member. Other arrays are taken from the last member defining them.
+ * 
+ * @param {Array<Object>} subSchemas the subschemas to merge
+ * @return {Object} composite subschema
+ */
+function mergeSubschemas(subSchemas) {
+  return lodash.mergeWith({}, ...subSchemas, (target, source, key) => {
+    if (target === undefined) {
+      return undefined;
+    }
+    if (key === 'required' && Array.isArray(source)) {
+      return lodash.union(target, source);
+    }
+    if (key === 'type') {
+      const types = lodash.intersection(lodash.castArray(target), lodash.castArray(source));
+      return types.length === 1 ? types[0] : types;
+    }
+    if (key === 'enum' && Array.isArray(source)) {
+      return lodash.intersectionWith(target, source, lodash.isEqual);
+    }
+    if (Array.isArray(source)) {
+      return source;
+    }
+    return undefined;
+  });
+}
+
+/**
+ * Merges the subschema a reference refers to with the keywords alongside the reference
+ *
+ * Keywords alongside the reference take precedence, arrays are combined
+ * and subschemas are merged with `mergeSubschemas`.
+ *
+ * @param {Object} target the subschema referred to
+ * @param {Object} siblings the keywords alongside the reference, without `$ref`
+ * @return {Object} merged subschema, target is copied
+ */
+function mergeReference(target, siblings) {
+  const result = { ...siblings };
+  lodash.forOwn(target, (v, k) => {
+    const copy = lodash.cloneDeep(v);
+    const source = siblings[k];
+    if (Array.isArray(source) && Array.isArray(copy)) {
+      result[k] = lodash.unionWith(source, copy, lodash.isEqual);
+    } else if (lodash.isPlainObject(source) && lodash.isPlainObject(copy)) {
+      result[k] = mergeSubschemas([copy, source]);
+    } else if (source === undefined) {
+      result[k] = copy;
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  mergeSubschemas,
+  mergeReference,
+};
@@ -0,0 +1,161 @@
+const lodash = require('lodash');
+
+const SchemaPath = require('./SchemaPath');
+
+/**
+ * Retrieves the single value a property subschema allows: its `const` or the value of a one value `enum`
+ *
+ * @param {?Object} subSchema the resolved property subschema
+ * @return {{value: *}|undefined} the tag, undefined when the subschema allows other values
+ */
+function tagOf(subSchema) {
+  if (!lodash.isPlainObject(subSchema)) {
+    return undefined;
+  }
+  if (subSchema.const !== undefined) {
+    return { value: subSchema.const };
+  }
+  if (Array.isArray(subSchema.enum) && subSchema.enum.length === 1) {
+    return { value: subSchema.enum[0] };
+  }
+  return undefined;
+}
+
+/**
+ * Normalizes a `discriminator.mapping` reference, bare names referring to `definitions`
+ *
+ * `Cat` => `#/definitions/Cat`
+ *
+ * @param {string} ref
+ * @return {string} reference
+ */
+function mappingReference(ref) {
+  return ref.startsWith('#') ? ref : `#/definitions/${SchemaPath.escapePointerToken(ref)}`;
+}
+
+/**
+ * @class {SchemaDiscriminator}
+ *
+ * The tag property telling the `oneOf` / `anyOf` variants of a subschema apart.
+ *
+ * The discriminator is either
+ *  - explicit, OpenAPI style: `discriminator: { propertyName: 'kind', mapping: { cat: '#/definitions/Cat' } }`.
+ *    Variants missing from `mapping` are tagged with the `const` of their property, or the name
+ *    of the definition they refer to
+ *  - detected, the first property which every variant declares with a distinct `const`
+ *    (or single value `enum`)
+ *
+ * Lookups of variants by tag take constant time.
+ */
+class SchemaDiscriminator {
+  /**
+   * @param {string} propertyName the tag property
+   * @param {Array<{tag: *, variant: Object}>} entries the tag of each variant
+   */
+  constructor(propertyName, entries) {
+    this.propertyName = propertyName;
+    this.variants = new Map();
+    this.tags = new Map();
+    entries.forEach(({ tag, variant }) => {
+      this.variants.set(tag, variant);
+      if (!this.tags.has(variant)) {
+        this.tags.set(variant, tag);
+      }
+    });
+  }
+
+  /**
+   * Creates the discriminator of a subschema
+   *
+   * @param {Schema} schema
+   * @param {Object} subSchema the resolved subschema with variants
+   * @return {?SchemaDiscriminator} discriminator, undefined if the variants have none
+   * @throws {Error} if an explicit discriminator maps a tag to a reference which is not a variant
+   */
+  static of(schema, subSchema) {
+    const variants = schema.variantsOf(subSchema);
+    if (!variants || !variants.length) {
+      return undefined;
+    }
+    const raw = subSchema.oneOf || subSchema.anyOf;
+    const propertyName = lodash.get(subSchema, 'discriminator.propertyName');
+    if (typeof propertyName === 'string') {
+      return SchemaDiscriminator.explicit(schema, propertyName, subSchema.discriminator.mapping || {}, raw, variants);
+    }
+    return SchemaDiscriminator.detect(schema, variants);
+  }
+
+  /**
+   * Creates an explicit discriminator
+   *
+   * @param {Schema} schema
+   * @param {string} propertyName
+   * @param {Object} mapping references of variants by tag
+   * @param {Array<Object>} raw the variants as held by the subschema
+   * @param {Array<Object>} variants the resolved variants
+   * @return {SchemaDiscriminator} discriminator
+   * @throws {Error} if mapping refers to a subschema which is not a variant
+   */
+  static explicit(schema, propertyName, mapping, raw, variants) {
+    const references = raw.map((one, index) => { return schema.referenceOf(one) || schema.referenceOf(variants[index]); });
+    const entries = Object.keys(mapping).map((tag) => {
+      const index = references.indexOf(mappingReference(mapping[tag]));
+      if (index === -1) {
+        throw new Error(`discriminator mapping ${tag} refers to ${mapping[tag]} which is not a variant`);
+      }
+      return { tag, variant: variants[index] };
+    });
+
+    variants.forEach((variant, index) => {
+      const tag = tagOf(schema.propertySubschema(variant, propertyName));
+      if (tag) {
+        entries.push({ tag: tag.value, variant });
+      } else if (references[index] && references[index].startsWith('#/definitions/')) {
+        entries.push({ tag: SchemaPath.pointerTokens(references[index])[1], variant });
+      }
+    });
+    // tags of `mapping` take precedence
+    return new SchemaDiscriminator(propertyName, lodash.uniqBy(entries, 'tag'));
+  }
+
+  /**
+   * Detects the tag property of variants
+   *
+   * @param {Schema} schema
+   * @param {Array<Object>} variants the resolved variants
+   * @return {?SchemaDiscriminator} discriminator, undefined if no property tags every variant
+   */
+  static detect(schema, variants) {
+    const candidates = Object.keys(lodash.get(variants[0], 'properties') || {});
+    for (let i = 0; i < candidates.length; i++) {
+      const propertyName = candidates[i];
+      const tags = variants.map((variant) => {
+        return lodash.isPlainObject(lodash.get(variant, 'properties')) &&
+          tagOf(schema.resolveSubschema(variant.properties[propertyName]));
+      });
+      const distinct = lodash.uniqWith(tags.map((tag) => { return tag && tag.value; }), lodash.isEqual);
+      if (tags.every(Boolean) && distinct.length === variants.length) {
+        return new SchemaDiscriminator(propertyName, tags.map((tag, index) => {
+          return { tag: tag.value, variant: variants[index] };
+        }));
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Retrieves the variant of a value by its tag
+   *
+   * @param {*} value
+   * @return {{tagged: boolean, variant: ?Object}} `tagged` false when the value has no tag
+   */
+  lookup(value) {
+    const tag = lodash.isPlainObject(value) ? value[this.propertyName] : undefined;
+    if (tag === undefined) {
+      return { tagged: false, variant: undefined };
+    }
+    return { tagged: true, variant: this.variants.get(tag) };
+  }
+}
+
+module.exports = SchemaDiscriminator;
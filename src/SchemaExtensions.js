@@ -0,0 +1,250 @@
+const lodash = require('lodash');
+
+/**
+ * Keywords of `$sprout` used by the library itself
+ */
+const reservedKeywords = ['ui', 'merge', 'version', 'provenance'];
+
+/**
+ * Keywords of `$sprout` installed on each Ajv instance, by keyword name
+ */
+const installedKeywords = new WeakMap();
+
+/**
+ * Codecs of the `date-time` and `date` formats, converting strings to `Date` objects and back
+ */
+const dateCodecs = {
+  'date-time': {
+    decode: (value) => {
+      const date = typeof value === 'string' ? new Date(value) : value;
+      return date instanceof Date && !isNaN(date.getTime()) ? date : value;
+    },
+    encode: (value) => {
+      return value instanceof Date && !isNaN(value.getTime()) ? value.toISOString() : value;
+    },
+  },
+  date: {
+    decode: (value) => {
+      const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : value;
+      return date instanceof Date && !isNaN(date.getTime()) ? date : value;
+    },
+    encode: (value) => {
+      return value instanceof Date && !isNaN(value.getTime()) ? value.toISOString().slice(0, 10) : value;
+    },
+  },
+};
+
+/**
+ * Determines the JSON type of data
+ *
+ * @param {*} data
+ * @return {string} type
+ */
+function jsonType(data) {
+  if (data === null) {
+    return 'null';
+  }
+  if (Array.isArray(data)) {
+    return 'array';
+  }
+  if (Number.isInteger(data)) {
+    return 'integer';
+  }
+  return typeof data;
+}
+
+/**
+ * Creates the error of data failing a `$sprout` keyword
+ *
+ * @param {string} name
+ * @param {Object} definition
+ * @param {*} value the value of the keyword
+ * @param {*} data
+ * @return {Object} Ajv error, without its paths
+ */
+function keywordError(name, definition, value, data) {
+  const message = typeof definition.message === 'function' ? definition.message(value, data) : definition.message;
+  return {
+    keyword: name,
+    message: message || `should pass "${name}" keyword validation`,
+    params: { keyword: name, value },
+  };
+}
+
+/**
+ * Determines if a `$sprout` keyword applies to the type of the data
+ *
+ * @param {Object} definition
+ * @param {*} data
+ * @return {boolean}
+ */
+function appliesTo(definition, data) {
+  const types = definition.type && lodash.castArray(definition.type);
+  const type = jsonType(data);
+  return !types || types.includes(type) || (type === 'integer' && types.includes('number'));
+}
+
+/**
+ * Compiles a `$sprout` keyword of a subschema
+ *
+ * @param {string} name
+ * @param {Object} definition
+ * @param {*} value the value of the keyword
+ * @param {Object} parentSchema the subschema
+ * @return {function(data:*, ...args):Object|undefined} returns the error of invalid data
+ */
+function compileKeyword(name, definition, value, parentSchema) {
+  const validate = definition.compile ?
+    definition.compile(value, parentSchema) :
+    (data, ...args) => { return definition.validate(value, data, parentSchema, ...args); };
+
+  return (data, ...args) => {
+    if (!appliesTo(definition, data) || validate(data, ...args)) {
+      return undefined;
+    }
+    return keywordError(name, definition, value, data);
+  };
+}
+
+/**
+ * Ajv keyword validating the keywords registered under `$sprout`
+ *
+ * @param {Ajv} ajv
+ * @return {Object} Ajv keyword definition
+ */
+function sproutKeyword(ajv) {
+  return {
+    compile: (sprout, parentSchema) => {
+      const keywords = installedKeywords.get(ajv);
+      const validators = Object.keys(lodash.isPlainObject(sprout) ? sprout : {})
+        // async keywords are validated by `Schema.validateAsync`
+        .filter((name) => { return keywords[name] && !keywords[name].async; })
+        .map((name) => { return compileKeyword(name, keywords[name], sprout[name], parentSchema); });
+
+      const validate = (data, ...args) => {
+        const errors = validators.map((one) => { return one(data, ...args); }).filter(Boolean);
+        validate.errors = errors;
+        return !errors.length;
+      };
+      return validate;
+    },
+  };
+}
+
+/**
+ * @class {SchemaExtensions}
+ *
+ * Custom formats, keywords and codecs.
+ *
+ * Formats are Ajv formats: a RegExp, a function of the string or `{type, validate, compare}`.
+ * Keywords are written in the `$sprout` annotations of subschemas
+ * (`{ "type": "string", "$sprout": { "skuPrefix": "AB" } }`) so other validators ignore them.
+ * Their definition has either
+ *  - `validate(value, data, subSchema, dataPath, parentData, property, rootData)` returning true for valid data
+ *  - `compile(value, subSchema)` returning `function(data, dataPath, parentData, property, rootData)`
+ * and optionally `type`, the JSON types of the data validated, and `message`, a string or a function
+ * of the value of the keyword and the data. Errors have the keyword name as their `keyword`.
+ *
+ * Keywords with `async: true` are only validated by `Schema.validateAsync`: `validate` returns a
+ * promise of the result and receives an `AbortSignal` after `rootData`, aborted when the run is stale.
+ *
+ * Codecs convert the values of a format, `decode(value, subSchema)` from JSON and
+ * `encode(value, subSchema)` back to JSON.
+ */
+class SchemaExtensions {
+  /**
+   * @param {Object} [codecs = {}] codecs by format
+   */
+  constructor(codecs = {}) {
+    this.formats = {};
+    this.keywords = {};
+    this.codecs = { ...codecs };
+    // incremented by each registration affecting validation, so validators are recompiled
+    this.revision = 0;
+  }
+
+  /**
+   * Registers a format
+   *
+   * @param {string} name
+   * @param {RegExp|function(value:string):boolean|Object} format Ajv format
+   * @param {Object} [codec] codec of the values of the format
+   * @return {SchemaExtensions} this
+   * @throws {Error} if the format or the codec is invalid
+   */
+  registerFormat(name, format, codec) {
+    if (!(format instanceof RegExp) && typeof format !== 'function' && !lodash.isPlainObject(format)) {
+      throw new Error(`format ${name} is not a RegExp, a function or an Ajv format`);
+    }
+    if (codec) {
+      this.registerCodec(name, codec);
+    }
+    this.formats[name] = format;
+    this.revision++;
+    return this;
+  }
+
+  /**
+   * Registers a `$sprout` keyword
+   *
+   * @param {string} name
+   * @param {Object} definition
+   * @return {SchemaExtensions} this
+   * @throws {Error} if the name is used by the library or the definition neither validates nor compiles
+   */
+  registerKeyword(name, definition) {
+    if (reservedKeywords.includes(name)) {
+      throw new Error(`$sprout keyword ${name} is reserved`);
+    }
+    if (!definition || (typeof definition.validate !== 'function' && typeof definition.compile !== 'function')) {
+      throw new Error(`$sprout keyword ${name} defines neither validate nor compile`);
+    }
+    if (definition.async && typeof definition.validate !== 'function') {
+      throw new Error(`async $sprout keyword ${name} must define validate`);
+    }
+    this.keywords[name] = definition;
+    this.revision++;
+    return this;
+  }
+
+  /**
+   * Registers the codec of a format
+   *
+   * @param {string} format
+   * @param {{decode: function(value:*, subSchema:Object):*, encode: function(value:*, subSchema:Object):*}} codec
+   * @return {SchemaExtensions} this
+   * @throws {Error} if the codec does not decode and encode
+   */
+  registerCodec(format, codec) {
+    if (!codec || typeof codec.decode !== 'function' || typeof codec.encode !== 'function') {
+      throw new Error(`codec of format ${format} must implement decode and encode`);
+    }
+    this.codecs[format] = codec;
+    return this;
+  }
+
+  /**
+   * Adds the formats and keywords to an Ajv instance
+   *
+   * @param {Ajv} ajv
+   */
+  install(ajv) {
+    lodash.forOwn(this.formats, (format, name) => {
+      ajv.addFormat(name, format);
+    });
+    if (!installedKeywords.has(ajv)) {
+      installedKeywords.set(ajv, {});
+      if (!ajv.getKeyword('$sprout')) {
+        ajv.addKeyword('$sprout', sproutKeyword(ajv));
+      }
+    }
+    Object.assign(installedKeywords.get(ajv), this.keywords);
+  }
+}
+
+module.exports = {
+  SchemaExtensions,
+  dateCodecs,
+  keywordError,
+  appliesTo,
+};
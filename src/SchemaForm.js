@@ -0,0 +1,271 @@
+const lodash = require('lodash');
+
+const SchemaPath = require('./SchemaPath');
+const { localeChain, localize } = require('./SchemaMessages');
+
+/**
+ * Widgets of string formats
+ */
+const formatWidgets = {
+  date: 'date',
+  'date-time': 'datetime',
+  time: 'time',
+  email: 'email',
+  uri: 'url',
+  'uri-reference': 'url',
+  color: 'color',
+};
+
+/**
+ * Widgets of types
+ */
+const typeWidgets = {
+  string: 'text',
+  number: 'number',
+  integer: 'number',
+  boolean: 'checkbox',
+  object: 'group',
+  array: 'list',
+};
+
+/**
+ * @class {SchemaForm}
+ *
+ * Describes the fields of a form editing the models of a Schema.
+ *
+ * Fields are described by the `$sprout.ui` annotations of their subschema:
+ *  - `label` the label, a string or an object keyed by locale (default: `title`, then the property name)
+ *  - `help` help text, a string or an object keyed by locale (default: `description`)
+ *  - `placeholder` placeholder text, a string or an object keyed by locale
+ *  - `widget` the widget, overriding the widget inferred from `enum`, `format` and `type`
+ *  - `order` the position of the field among its siblings, fields without one follow in declaration order
+ *  - `hidden` true to hide the field
+ *  - `readOnly` true to display the value without editing it (default: `readOnly`)
+ *  - `visibleIf` a subschema the parent value must match for the field to be visible
+ *  - `options` labels of `enum` values, keyed by value
+ *  - `addable` / `removable` / `orderable` false to prevent adding, removing or reordering array items
+ *
+ * Inferred widgets are `select` for `enum` and `const`, `date`, `datetime`, `time`, `email`, `url`
+ * and `color` for string formats, then `text`, `number`, `checkbox`, `group` (objects), `list` (arrays)
+ * and `variant` (a choice of `oneOf` / `anyOf` subschemas).
+ *
+ * A field is `{path, key, widget, type, label, help, placeholder, required, readOnly, hidden, order,
+ * default, conditions}`, plus `options` for selections, `fields` for groups, `item` or `variants`
+ * for lists and `variants` for variants. Paths of array items are written `[*]`.
+ *
+ * `conditions` are `{path, schema}`: the field is visible when the value at `path` matches `schema`.
+ * They come from `visibleIf`, from properties only defined by the `then` / `else` of a condition
+ * and from `dependencies` subschemas.
+ */
+class SchemaForm {
+  /**
+   * @param {Schema} schema
+   * @param {Object} [options = {}] options
+   * @param {string} [options.locale = schema.options.locale] the locale of labels and help
+   */
+  constructor(schema, options = {}) {
+    this.schema = schema;
+    this.chain = localeChain(
+      options.locale || schema.options.locale,
+      options.fallbackLocales || schema.options.fallbackLocales
+    );
+  }
+
+  /**
+   * Describes the field of a subschema
+   *
+   * @param {Object} subSchema
+   * @param {string} path the path of the field
+   * @param {Object} [context = {}] the context of the field in its parent
+   * @param {string} [context.key] the property name or tuple index of the field
+   * @param {boolean} [context.required] true if the parent requires the field
+   * @param {Array<Object>} [context.conditions] the conditions of the field
+   * @param {Array<string>} [references = []] the references being described, to stop at recursive references
+   * @return {Object} field
+   */
+  describe(subSchema, path, context = {}, references = []) {
+    const ref = lodash.get(subSchema, '$ref');
+    const resolved = this.schema.resolveSubschema(subSchema) || {};
+    const ui = lodash.get(resolved, '$sprout.ui', {});
+    const key = context.key;
+    const field = {
+      path,
+      key,
+      widget: this.widgetOf(resolved),
+      type: resolved.type,
+      label: localize(ui.label, this.chain) || resolved.title || (typeof key === 'string' ? lodash.startCase(key) : undefined),
+      help: localize(ui.help, this.chain) || resolved.description,
+      placeholder: localize(ui.placeholder, this.chain),
+      required: !!context.required,
+      readOnly: !!(ui.readOnly || resolved.readOnly),
+      hidden: !!ui.hidden,
+      order: ui.order,
+      default: resolved.default,
+      conditions: (context.conditions || []).concat(ui.visibleIf ? { path: SchemaPath.parentPath(path), schema: ui.visibleIf } : []),
+    };
+
+    if (ref && references.includes(ref)) {
+      // describe the model at a concrete path to expand recursive fields
+      field.recursive = true;
+      return field;
+    }
+    const nested = ref ? references.concat(ref) : references;
+
+    const values = resolved.enum || (resolved.const !== undefined ? [resolved.const] : undefined);
+    if (values) {
+      field.options = values.map((value) => {
+        return {
+          value,
+          label: localize(lodash.get(ui, ['options', String(value)]), this.chain) || String(value),
+        };
+      });
+    }
+
+    const variants = this.schema.variantsOf(resolved);
+    if (field.widget === 'list') {
+      this.describeList(field, resolved, ui, nested);
+    } else if (variants) {
+      field.variants = this.describeVariants(variants, path, nested);
+    }
+    if (field.widget === 'group' || (lodash.isPlainObject(resolved.properties) && !variants)) {
+      field.fields = this.describeProperties(resolved, path, nested);
+    }
+    return field;
+  }
+
+  /**
+   * Describes the items of a list
+   *
+   * @param {Object} field the field of the array
+   * @param {Object} subSchema the resolved array subschema
+   * @param {Object} ui the `$sprout.ui` annotations of the array
+   * @param {Array<string>} references
+   */
+  describeList(field, subSchema, ui, references) {
+    field.minItems = subSchema.minItems;
+    field.maxItems = subSchema.maxItems;
+    field.addable = ui.addable !== false;
+    field.removable = ui.removable !== false;
+    field.orderable = ui.orderable !== false;
+
+    if (Array.isArray(subSchema.items)) {
+      field.items = subSchema.items.map((item, index) => {
+        return this.describe(item, SchemaPath.append(field.path, index), { key: index, required: true }, references);
+      });
+      return;
+    }
+
+    const itemPath = `${field.path}[*]`;
+    const items = subSchema.items === undefined ? {} : subSchema.items;
+    const variants = lodash.isPlainObject(items) && this.schema.variantsOf(this.schema.resolveSubschema(items));
+    if (variants) {
+      field.variants = this.describeVariants(variants, itemPath, references);
+    } else {
+      field.item = this.describe(items, itemPath, {}, references);
+    }
+  }
+
+  /**
+   * Describes the choices of `oneOf` / `anyOf` variants
+   *
+   * Each variant is `{index, label, field}`, the index being the position of the variant
+   * in `oneOf` / `anyOf`.
+   *
+   * @param {Array<Object>} variants the hydrated variants
+   * @param {string} path the path of the value
+   * @param {Array<string>} references
+   * @return {Array<Object>} variants
+   */
+  describeVariants(variants, path, references) {
+    return variants.map((variant, index) => {
+      const field = this.describe(variant, path, {}, references);
+      return {
+        index,
+        label: field.label || `Option ${index + 1}`,
+        field,
+      };
+    });
+  }
+
+  /**
+   * Describes the properties of an object, including those defined by conditional subschemas
+   *
+   * @param {Object} subSchema the resolved object subschema
+   * @param {string} path the path of the object
+   * @param {Array<string>} references
+   * @return {Array<Object>} fields sorted by `order`
+   */
+  describeProperties(subSchema, path, references) {
+    const fields = [];
+    const described = new Set();
+    const required = subSchema.required || [];
+    const add = (properties, conditions, requiredKeys) => {
+      lodash.forOwn(properties || {}, (property, key) => {
+        if (described.has(key)) {
+          return;
+        }
+        described.add(key);
+        fields.push(this.describe(property, SchemaPath.append(path, key), {
+          key,
+          required: requiredKeys.includes(key),
+          conditions,
+        }, references));
+      });
+    };
+
+    add(subSchema.properties, [], required);
+    this.schema.conditionsOf(subSchema).forEach((condition) => {
+      [['then', condition.if], ['else', { not: condition.if }]].forEach(([branch, schema]) => {
+        const resolved = condition[branch] === undefined ? undefined : this.schema.resolveSubschema(condition[branch]);
+        if (lodash.isPlainObject(resolved)) {
+          add(resolved.properties, [{ path, schema }], required.concat(resolved.required || []));
+        }
+      });
+    });
+    [subSchema.dependencies, subSchema.dependentSchemas].forEach((dependencies) => {
+      lodash.forOwn(dependencies || {}, (dependency, key) => {
+        const resolved = lodash.isPlainObject(dependency) ? this.schema.resolveSubschema(dependency) : undefined;
+        if (resolved) {
+          add(resolved.properties, [{ path, schema: { required: [key] } }], required.concat(resolved.required || []));
+        }
+      });
+    });
+
+    return lodash.sortBy(fields, (field) => { return field.order === undefined ? Infinity : field.order; });
+  }
+
+  /**
+   * Infers the widget of a subschema
+   *
+   * @param {Object} subSchema the resolved subschema
+   * @return {string} widget
+   */
+  widgetOf(subSchema) {
+    const widget = lodash.get(subSchema, '$sprout.ui.widget');
+    if (widget) {
+      return widget;
+    }
+    if (subSchema.enum || subSchema.const !== undefined) {
+      return 'select';
+    }
+    const types = lodash.castArray(subSchema.type || []).filter((type) => { return type !== 'null'; });
+    if (types.length === 1 && types[0] === 'string' && formatWidgets[subSchema.format]) {
+      return formatWidgets[subSchema.format];
+    }
+    if (types.length === 1 && typeWidgets[types[0]]) {
+      return typeWidgets[types[0]];
+    }
+    if (this.schema.variantsOf(subSchema)) {
+      return 'variant';
+    }
+    if (subSchema.properties) {
+      return 'group';
+    }
+    if (subSchema.items) {
+      return 'list';
+    }
+    return 'text';
+  }
+}
+
+module.exports = SchemaForm;
@@ -0,0 +1,24 @@
+/**
+ * Keywords whose values are instance data rather than subschemas
+ */
+const dataKeywords = [
+  'enum',
+  'const',
+  'default',
+  'examples',
+];
+
+/**
+ * Keywords whose values map names (property names, definition names...) to subschemas
+ */
+const nameMapKeywords = [
+  'properties',
+  'patternProperties',
+  'definitions',
+  'dependencies',
+];
+
+module.exports = {
+  dataKeywords,
+  nameMapKeywords,
+};
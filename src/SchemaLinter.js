@@ -0,0 +1,414 @@
+const lodash = require('lodash');
+
+const SchemaPath = require('./SchemaPath');
+const SchemaVisitor = require('./SchemaVisitor');
+const SchemaTemplates = require('./SchemaTemplates');
+
+/**
+ * Rules and their default severity
+ */
+const defaultRules = {
+  'unresolved-ref': 'error',
+  'invalid-default': 'error',
+  'invalid-example': 'error',
+  'undeclared-required': 'warning',
+  'unused-definition': 'warning',
+  'indistinguishable-variants': 'warning',
+  'unresolved-path-ref': 'warning',
+};
+
+/**
+ * Severities of diagnostics, `off` disables a rule
+ */
+const severities = ['error', 'warning', 'off'];
+
+/**
+ * Keywords whose subschemas describe the same value as the subschema holding them
+ */
+const sameValueKeywords = ['allOf', 'anyOf', 'oneOf', 'not', 'if', 'then', 'else', 'dependencies'];
+
+/**
+ * Number of samples generated for each variant, a variant is indistinguishable when
+ * every sample is taken for an earlier variant
+ */
+const variantSamples = 3;
+
+/**
+ * Retrieves the value at a JSON pointer, the empty pointer `#` referring to the root
+ *
+ * @param {Object} root
+ * @param {string} pointer
+ * @return {*} value, undefined if there is none
+ */
+function valueAt(root, pointer) {
+  const tokens = SchemaPath.pointerTokens(pointer);
+  return tokens.length ? lodash.get(root, tokens) : root;
+}
+
+/**
+ * @class {SchemaLinter}
+ *
+ * Reports authoring mistakes of the document of a Schema which the library otherwise tolerates.
+ *
+ * Rules (default severity):
+ *  - `unresolved-ref` (error) a `$ref` refers to nothing
+ *  - `invalid-default` (error) a `default` does not match its subschema
+ *  - `invalid-example` (error) one of the `examples` does not match its subschema
+ *  - `undeclared-required` (warning) a `required` property is missing from the `properties` of the
+ *    object (including those of its combinators and conditions), for objects declaring properties
+ *  - `unused-definition` (warning) a definition is not reachable from the root of the schema
+ *  - `indistinguishable-variants` (warning) data sampled from a `oneOf` / `anyOf` variant is always
+ *    taken for an earlier variant by `whichVariant`, the variant is never selected
+ *  - `unresolved-path-ref` (warning) a `$pathRef` template refers to a path missing from the context schema
+ *
+ * Diagnostics are `{rule, severity, pointer, message}`, `pointer` being the JSON pointer of the
+ * offending location in the document.
+ */
+class SchemaLinter {
+  /**
+   * @param {Schema} schema
+   * @param {Object} [options = {}] options
+   * @param {Object} [options.rules] severities by rule id, `error`, `warning` or `off`
+   * @param {Schema} [options.context = schema] the schema of the model `$pathRef` templates read
+   * @throws {Error} if a rule or a severity is unknown
+   */
+  constructor(schema, options = {}) {
+    this.schema = schema;
+    this.document = schema.document;
+    this.context = options.context || schema;
+    this.rules = { ...defaultRules };
+    lodash.forOwn(options.rules || {}, (severity, rule) => {
+      if (!defaultRules[rule]) {
+        throw new Error(`unknown lint rule ${rule}`);
+      }
+      const value = severity === false ? 'off' : severity;
+      if (!severities.includes(value)) {
+        throw new Error(`unknown severity ${severity} of lint rule ${rule}`);
+      }
+      this.rules[rule] = value;
+    });
+    this.diagnostics = [];
+  }
+
+  /**
+   * Runs the rules which are not off
+   *
+   * @return {Array<Object>} diagnostics, in the order of the rules then of the document
+   */
+  lint() {
+    const checks = {
+      'unresolved-ref': () => { this.checkReferences(); },
+      'invalid-default': () => { this.checkValues('default', 'invalid-default'); },
+      'invalid-example': () => { this.checkValues('examples', 'invalid-example'); },
+      'undeclared-required': () => { this.checkRequired(); },
+      'unused-definition': () => { this.checkDefinitions(); },
+      'indistinguishable-variants': () => { this.checkVariants(); },
+      'unresolved-path-ref': () => { this.checkPathReferences(); },
+    };
+    Object.keys(checks).forEach((rule) => {
+      if (this.rules[rule] !== 'off') {
+        checks[rule]();
+      }
+    });
+    return this.diagnostics;
+  }
+
+  /**
+   * Records a diagnostic
+   *
+   * @param {string} rule
+   * @param {string} pointer
+   * @param {string} message
+   */
+  report(rule, pointer, message) {
+    this.diagnostics.push({
+      rule,
+      severity: this.rules[rule],
+      pointer,
+      message,
+    });
+  }
+
+  /**
+   * Collects the subschemas of the document
+   *
+   * @return {Array<{subSchema: Object, context: Object}>} subschemas in document order
+   */
+  subschemas() {
+    if (!this.visited) {
+      this.visited = [];
+      new SchemaVisitor((subSchema, context) => {
+        this.visited.push({ subSchema, context });
+      }).visit(this.document);
+    }
+    return this.visited;
+  }
+
+  /**
+   * Retrieves the subschema a reference refers to in the document
+   *
+   * @param {string} ref
+   * @return {*} subschema, undefined if there is none
+   */
+  target(ref) {
+    try {
+      return ref.startsWith('#') ? valueAt(this.document, ref) : undefined;
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Reports references which refer to nothing
+   */
+  checkReferences() {
+    this.subschemas().forEach(({ subSchema, context }) => {
+      if (lodash.isPlainObject(subSchema) && typeof subSchema.$ref === 'string' && this.target(subSchema.$ref) === undefined) {
+        this.report('unresolved-ref', context.pointer, `$ref ${subSchema.$ref} cannot be resolved`);
+      }
+    });
+  }
+
+  /**
+   * Reports `default` values or `examples` which do not match their subschema.
+   * Values holding `$pathRef` templates are only known once resolved and are not checked.
+   *
+   * @param {string} keyword `default` or `examples`
+   * @param {string} rule
+   */
+  checkValues(keyword, rule) {
+    this.subschemas().forEach(({ subSchema, context }) => {
+      if (!lodash.isPlainObject(subSchema) || subSchema[keyword] === undefined) {
+        return;
+      }
+      const validate = this.validatorAt(context.pointer);
+      if (!validate) {
+        return;
+      }
+      const values = keyword === 'examples' ? lodash.castArray(subSchema.examples) : [subSchema.default];
+      values.forEach((value, index) => {
+        if (SchemaTemplates.paths(value).length || validate(value)) {
+          return;
+        }
+        const pointer = keyword === 'examples' ? `${context.pointer}/examples/${index}` : `${context.pointer}/default`;
+        const errors = validate.errors.map((error) => { return `${SchemaPath.format(error.dataPath)} ${error.message}`.trim(); });
+        this.report(rule, pointer, `${keyword === 'examples' ? 'example' : 'default'} ${JSON.stringify(value)} is invalid: ${errors.join(', ')}`);
+      });
+    });
+  }
+
+  /**
+   * Retrieves the validator of the hydrated subschema at a pointer
+   *
+   * @param {string} pointer
+   * @return {?function(value:*):boolean} validator, undefined if the subschema cannot be compiled
+   */
+  validatorAt(pointer) {
+    const hydrated = valueAt(this.schema.schema, pointer);
+    if (!lodash.isPlainObject(hydrated)) {
+      return undefined;
+    }
+    try {
+      // unresolved references are reported by their own rule
+      return this.schema.getSubschemaValidator(hydrated);
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Reports `required` properties missing from the `properties` of their object.
+   *
+   * The properties of an object are those of its subschema, of the subschemas of its combinators
+   * and conditions and of the subschemas they refer to. Objects without properties, with an
+   * `additionalProperties` subschema or with `patternProperties` matching the name are not reported.
+   */
+  checkRequired() {
+    const requirements = [];
+    this.objectRoots = {};
+    this.subschemas().forEach(({ subSchema, context }) => {
+      if (!lodash.isPlainObject(subSchema)) {
+        return;
+      }
+      const root = sameValueKeywords.includes(context.keyword) ? this.objectOf(context) : context.pointer;
+      this.objectRoots[context.pointer] = root;
+      const object = this.objectRecord(root);
+
+      const declaring = [subSchema];
+      if (typeof subSchema.$ref === 'string') {
+        declaring.push(this.schema.resolveSubschema({ $ref: subSchema.$ref }));
+      }
+      declaring.forEach((one) => {
+        if (!lodash.isPlainObject(one)) {
+          return;
+        }
+        Object.keys(one.properties || {}).forEach((key) => { object.properties.add(key); });
+        Object.keys(one.patternProperties || {}).forEach((pattern) => { object.patterns.push(pattern); });
+        object.open = object.open || lodash.isPlainObject(one.additionalProperties);
+      });
+      (Array.isArray(subSchema.required) ? subSchema.required : []).forEach((key, index) => {
+        requirements.push({ root, key, pointer: `${context.pointer}/required/${index}` });
+      });
+    });
+
+    requirements.forEach(({ root, key, pointer }) => {
+      const object = this.objectRecord(root);
+      const matchesPattern = object.patterns.some((pattern) => {
+        try {
+          return new RegExp(pattern, 'u').test(key);
+        } catch (e) {
+          return false;
+        }
+      });
+      if (object.properties.size && !object.open && !object.properties.has(key) && !matchesPattern) {
+        this.report('undeclared-required', pointer, `required property ${key} is not declared in properties`);
+      }
+    });
+  }
+
+  /**
+   * Finds the pointer of the subschema describing the object a combinator or condition applies to
+   *
+   * @param {Object} context the visitor context of the combinator or condition subschema
+   * @return {string} pointer
+   */
+  objectOf(context) {
+    const tokens = SchemaPath.pointerTokens(context.pointer);
+    // `oneOf/0`, `dependencies/name` have a key, `not`, `if`... do not
+    const parent = `#${tokens.slice(0, context.key === undefined ? -1 : -2).map((token) => {
+      return `/${SchemaPath.escapePointerToken(token)}`;
+    }).join('')}`;
+    return this.objectRoots[parent] || parent;
+  }
+
+  /**
+   * Retrieves the properties declared for an object
+   *
+   * @param {string} root the pointer of the subschema describing the object
+   * @return {{properties: Set<string>, patterns: Array<string>, open: boolean}} record
+   */
+  objectRecord(root) {
+    this.objects = this.objects || {};
+    this.objects[root] = this.objects[root] || { properties: new Set(), patterns: [], open: false };
+    return this.objects[root];
+  }
+
+  /**
+   * Reports definitions which cannot be reached from the root of the schema through references
+   */
+  checkDefinitions() {
+    const definitions = this.document.definitions || {};
+    const reached = new Set();
+    const pending = [lodash.omit(this.document, 'definitions')];
+    while (pending.length) {
+      this.references(pending.shift()).forEach((ref) => {
+        const tokens = ref.startsWith('#/definitions/') ? SchemaPath.pointerTokens(ref) : [];
+        if (tokens.length > 1 && lodash.has(definitions, [tokens[1]]) && !reached.has(tokens[1])) {
+          reached.add(tokens[1]);
+          pending.push(definitions[tokens[1]]);
+        }
+      });
+    }
+    Object.keys(definitions).forEach((key) => {
+      if (!reached.has(key)) {
+        this.report('unused-definition', `#/definitions/${SchemaPath.escapePointerToken(key)}`, `definition ${key} is never referenced`);
+      }
+    });
+  }
+
+  /**
+   * Collects the references of a subschema
+   *
+   * @param {Object|boolean} subSchema
+   * @return {Array<string>} references
+   */
+  references(subSchema) {
+    const refs = [];
+    new SchemaVisitor((node) => {
+      if (lodash.isPlainObject(node) && typeof node.$ref === 'string') {
+        refs.push(node.$ref);
+      }
+    }).visit(subSchema);
+    return refs;
+  }
+
+  /**
+   * Reports `oneOf` / `anyOf` variants which `whichVariant` never selects: every sample
+   * generated from the variant matches an earlier variant. Variants with a discriminator are
+   * told apart by their tag and are not reported
+   */
+  checkVariants() {
+    this.subschemas().forEach(({ subSchema, context }) => {
+      if (!lodash.isPlainObject(subSchema)) {
+        return;
+      }
+      const hydrated = valueAt(this.schema.schema, context.pointer);
+      const keyword = ['oneOf', 'anyOf'].find((one) => { return Array.isArray(subSchema[one]); });
+      const variants = keyword && lodash.isPlainObject(hydrated) && this.schema.variantsOf(hydrated);
+      if (!variants || this.isDiscriminated(hydrated)) {
+        return;
+      }
+      variants.forEach((variant, index) => {
+        const taken = this.samples(variant).map((sample) => {
+          return variants.findIndex((one) => { return this.schema.isVariantMatch(one, sample); });
+        });
+        if (taken.length && taken.every((one) => { return one !== -1 && one < index; })) {
+          this.report('indistinguishable-variants', `${context.pointer}/${keyword}/${index}`,
+            `${keyword} variant ${index} is indistinguishable from variant ${lodash.min(taken)}`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Determines if the variants of a subschema are told apart by a discriminator
+   *
+   * @param {Object} subSchema
+   * @return {boolean}
+   */
+  isDiscriminated(subSchema) {
+    try {
+      return !!this.schema.discriminatorOf(subSchema);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Generates sample data of a variant
+   *
+   * @param {Object} variant
+   * @return {Array<*>} samples, empty if none can be generated
+   */
+  samples(variant) {
+    try {
+      return lodash.range(variantSamples).map((seed) => {
+        return this.schema.createDataFromSchema(variant, { generate: true, seed });
+      });
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Reports `$pathRef` templates whose path is missing from the context schema
+   */
+  checkPathReferences() {
+    const check = (node, pointer) => {
+      SchemaTemplates.paths(typeof node === 'string' || (lodash.isPlainObject(node) && typeof node.$pathRef === 'string') ? node : undefined)
+        .forEach((path) => {
+          if (path && !this.context.getSubschemaFromPath(path)) {
+            this.report('unresolved-path-ref', pointer, `$pathRef ${path} does not exist`);
+          }
+        });
+      if (lodash.isObject(node) && !(lodash.isPlainObject(node) && typeof node.$pathRef === 'string')) {
+        lodash.forEach(node, (value, key) => {
+          check(value, `${pointer}/${SchemaPath.escapePointerToken(key)}`);
+        });
+      }
+    };
+    check(this.document, '#');
+  }
+}
+
+module.exports = SchemaLinter;
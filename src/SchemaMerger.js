@@ -0,0 +1,157 @@
+const lodash = require('lodash');
+
+/**
+ * Merge strategies which can be declared with `$sprout.merge`
+ */
+const strategies = ['replace', 'append', 'union', 'deep'];
+
+/**
+ * @class {SchemaMerger}
+ *
+ * Merges models of a Schema, walking both with the schema.
+ *
+ * The strategy of each value is declared in the schema with `$sprout.merge`:
+ *  - `replace` the incoming value replaces the base value
+ *  - `append` incoming array items are appended to the base items
+ *  - `union` incoming array items not already in the base are appended
+ *  - `{ mergeByKey: 'id' }` array items with the same `id` are merged, other items are appended
+ *  - `deep` objects are merged property by property, arrays index by index
+ *
+ * Without a strategy, objects are merged deeply, arrays whose items have an `x-key` hint
+ * are merged by that key and other arrays are replaced. Values of different variants
+ * are always replaced.
+ */
+class SchemaMerger {
+  /**
+   * @param {Schema} schema the Schema the models are described by
+   */
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  /**
+   * Merges an incoming value into a base value
+   *
+   * Neither value is modified.
+   *
+   * @param {?Object} subSchema the subschema of the values, if any
+   * @param {*} base
+   * @param {*} incoming
+   * @return {*} merged value
+   * @throws {Error} if the subschema declares an unknown strategy
+   */
+  merge(subSchema, base, incoming) {
+    if (incoming === undefined) {
+      return lodash.cloneDeep(base);
+    }
+    if (base === undefined || base === null) {
+      return lodash.cloneDeep(incoming);
+    }
+
+    const resolved = this.schema.valueSubschema(subSchema, incoming);
+    const strategy = this.strategyOf(resolved);
+    if (!this.schema.isSameVariant(subSchema, base, incoming) || strategy === 'replace') {
+      return lodash.cloneDeep(incoming);
+    }
+
+    if (Array.isArray(base) && Array.isArray(incoming)) {
+      return this.mergeArray(resolved, strategy, base, incoming);
+    }
+    if (lodash.isPlainObject(base) && lodash.isPlainObject(incoming)) {
+      const merged = lodash.cloneDeep(base);
+      Object.keys(incoming).forEach((key) => {
+        const propertySchema = resolved && this.schema.propertySubschema(resolved, key);
+        merged[key] = this.merge(propertySchema, base[key], incoming[key]);
+      });
+      return merged;
+    }
+    return lodash.cloneDeep(incoming);
+  }
+
+  /**
+   * Merges arrays with a strategy
+   *
+   * @param {?Object} subSchema the array subschema
+   * @param {string|Object} strategy
+   * @param {Array} base
+   * @param {Array} incoming
+   * @return {Array} merged array
+   */
+  mergeArray(subSchema, strategy, base, incoming) {
+    if (strategy === 'append') {
+      return lodash.cloneDeep(base.concat(incoming));
+    }
+    if (strategy === 'union') {
+      return lodash.cloneDeep(lodash.unionWith(base, incoming, lodash.isEqual));
+    }
+    if (strategy === 'deep') {
+      return lodash.range(Math.max(base.length, incoming.length)).map((index) => {
+        return this.mergeItem(subSchema, index, base[index], incoming[index]);
+      });
+    }
+
+    const key = strategy.mergeByKey;
+    const merged = lodash.cloneDeep(base);
+    incoming.forEach((item) => {
+      const index = lodash.isPlainObject(item) && item[key] !== undefined ?
+        merged.findIndex((one) => { return lodash.isPlainObject(one) && lodash.isEqual(one[key], item[key]); }) :
+        -1;
+      if (index === -1) {
+        merged.push(lodash.cloneDeep(item));
+      } else {
+        merged[index] = this.mergeItem(subSchema, index, merged[index], item);
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Retrieves the merge strategy of a subschema
+   *
+   * @param {?Object} subSchema
+   * @return {string|Object} `replace`, `append`, `union`, `deep` or `{ mergeByKey }`
+   * @throws {Error} if the strategy is unknown
+   */
+  strategyOf(subSchema) {
+    const strategy = lodash.get(subSchema, '$sprout.merge');
+    if (strategy === undefined) {
+      const key = this.schema.itemKey(subSchema);
+      if (key) {
+        return { mergeByKey: key };
+      }
+      return lodash.get(subSchema, 'type') === 'array' ? 'replace' : 'deep';
+    }
+    if (strategies.includes(strategy) || (lodash.isPlainObject(strategy) && typeof strategy.mergeByKey === 'string')) {
+      return strategy;
+    }
+    throw new Error(`unknown merge strategy ${JSON.stringify(strategy)}`);
+  }
+
+  /**
+   * Merges array items, selecting the variant of items with `whichSubschema`.
+   * Items of different variants are replaced.
+   *
+   * @param {?Object} subSchema the array subschema
+   * @param {number} index the index of the item
+   * @param {*} base
+   * @param {*} incoming
+   * @return {*} merged item
+   */
+  mergeItem(subSchema, index, base, incoming) {
+    if (!subSchema || !subSchema.items) {
+      return this.merge(undefined, base, incoming);
+    }
+    const hasVariants = lodash.isPlainObject(subSchema.items) &&
+      !!this.schema.variantsOf(this.schema.resolveSubschema(subSchema.items));
+    if (hasVariants && base !== undefined && incoming !== undefined) {
+      const variant = this.schema.whichSubschema(subSchema, incoming);
+      if (variant !== this.schema.whichSubschema(subSchema, base)) {
+        return lodash.cloneDeep(incoming);
+      }
+      return this.merge(variant, base, incoming);
+    }
+    return this.merge(this.schema.itemsSubschema(subSchema, index), base, incoming);
+  }
+}
+
+module.exports = SchemaMerger;
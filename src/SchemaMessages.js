@@ -0,0 +1,112 @@
+const lodash = require('lodash');
+
+/**
+ * Computes the locales to look up, most specific first
+ *
+ * `fr-CA` with fallbacks ['en'] => ['fr-CA', 'fr', 'en']
+ *
+ * @param {?string} locale the requested locale
+ * @param {Array<string>} [fallbacks = []] locales to fall back to
+ * @return {Array<string>} locale chain
+ */
+function localeChain(locale, fallbacks = []) {
+  const chain = [];
+  [locale, ...fallbacks].forEach((one) => {
+    if (!one) {
+      return;
+    }
+    const subtags = one.split('-');
+    for (let i = subtags.length; i > 0; i--) {
+      const candidate = subtags.slice(0, i).join('-');
+      if (!chain.includes(candidate)) {
+        chain.push(candidate);
+      }
+    }
+  });
+  return chain;
+}
+
+/**
+ * Selects the text for a locale.
+ *
+ * Text is either a string, used for every locale, or an object keyed by locale
+ *
+ * @param {string|Object} text
+ * @param {Array<string>} chain locale chain
+ * @return {?string} localized text or undefined
+ */
+function localize(text, chain) {
+  if (typeof text === 'string') {
+    return text;
+  }
+  if (!lodash.isPlainObject(text)) {
+    return undefined;
+  }
+  const locale = chain.find((one) => { return typeof text[one] === 'string'; });
+  return locale && text[locale];
+}
+
+/**
+ * Replaces `{name}` placeholders of a template with values
+ *
+ * `"{label} must be at least {limit} characters"` => `"Street must be at least 2 characters"`
+ *
+ * Placeholders without a value are left as is
+ *
+ * @param {string} template
+ * @param {Object} values
+ * @return {string} text
+ */
+function interpolate(template, values) {
+  return template.replace(/\{([\w$.]+)\}/g, (placeholder, name) => {
+    const value = lodash.get(values, name);
+    if (value === undefined) {
+      return placeholder;
+    }
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+/**
+ * @class {MessageCatalogs}
+ *
+ * Locale catalogs of validation messages.
+ *
+ * A catalog is `{ messages: { [keyword]: template } }`, templates are interpolated
+ * with the Ajv error params, `label`, `path` and the Ajv `message`
+ */
+class MessageCatalogs {
+  constructor() {
+    this.catalogs = {};
+  }
+
+  /**
+   * Registers a catalog, merging it with any catalog already registered for the locale
+   *
+   * @param {string} locale
+   * @param {Object} catalog
+   * @return {MessageCatalogs} this
+   */
+  register(locale, catalog) {
+    this.catalogs[locale] = lodash.merge(this.catalogs[locale] || {}, catalog);
+    return this;
+  }
+
+  /**
+   * Retrieves the message template of a keyword for a locale
+   *
+   * @param {string} keyword the Ajv keyword (`minLength`, `required`...)
+   * @param {string} locale
+   * @return {?string} template or undefined
+   */
+  template(keyword, locale) {
+    return lodash.get(this.catalogs, [locale, 'messages', keyword]);
+  }
+}
+
+module.exports = {
+  MessageCatalogs,
+  localeChain,
+  localize,
+  interpolate,
+};
@@ -0,0 +1,64 @@
+/**
+ * @class {SchemaMigrations}
+ *
+ * Ordered migrations of models between versions of a schema.
+ *
+ * A migration upgrades a model from one version to the next, migrations are chained
+ * to upgrade a model from any registered version to the version of the schema.
+ */
+class SchemaMigrations {
+  constructor() {
+    this.migrations = [];
+  }
+
+  /**
+   * Registers a migration
+   *
+   * @param {string|number} from the version upgraded from
+   * @param {string|number} to the version upgraded to
+   * @param {function(model:*, context:Object):*} migrate returns the upgraded model
+   * @return {SchemaMigrations} this
+   * @throws {Error} if a migration from that version is already registered
+   */
+  register(from, to, migrate) {
+    if (typeof migrate !== 'function') {
+      throw new Error(`migration from ${from} to ${to} is not a function`);
+    }
+    if (this.migrations.some((one) => { return one.from === String(from); })) {
+      throw new Error(`a migration from version ${from} is already registered`);
+    }
+    this.migrations.push({
+      from: String(from),
+      to: String(to),
+      migrate,
+    });
+    return this;
+  }
+
+  /**
+   * Computes the chain of migrations upgrading a version to another
+   *
+   * @param {string|number} from
+   * @param {string|number} to
+   * @return {Array<Object>} migrations `{from, to, migrate}` in the order they run
+   * @throws {Error} if there is no chain of migrations between the versions
+   */
+  chain(from, to) {
+    const chain = [];
+    let version = String(from);
+    while (version !== String(to)) {
+      const migration = this.migrations.find((one) => { return one.from === version; });
+      if (!migration) {
+        throw new Error(`no migration from version ${version} to ${to}`);
+      }
+      if (chain.includes(migration)) {
+        throw new Error(`migrations from version ${from} never reach ${to}`);
+      }
+      chain.push(migration);
+      version = migration.to;
+    }
+    return chain;
+  }
+}
+
+module.exports = SchemaMigrations;
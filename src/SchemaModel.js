@@ -0,0 +1,387 @@
+const EventEmitter = require('events');
+const lodash = require('lodash');
+
+const SchemaPath = require('./SchemaPath');
+const SchemaValidationError = require('./SchemaValidationError');
+
+/**
+ * Options used unless overridden when creating a SchemaModel
+ */
+const defaultOptions = {
+  validate: true,
+  historyLimit: 100,
+};
+
+/**
+ * @class {SchemaModel}
+ *
+ * Observable store of a model described by a Schema.
+ *
+ * Changes are made by path (`sections[0].header.title`), validated against the subschema
+ * at that path and applied to a copy of the model, so the previous model is never mutated.
+ * Each change emits a `change` event `{ type, paths, model }` and is recorded for undo / redo.
+ *
+ * Changes made inside `transaction` are validated together when the transaction ends,
+ * emit a single `change` event and are undone as one.
+ */
+class SchemaModel extends EventEmitter {
+  /**
+   * @param {Schema} schema the schema describing the model
+   * @param {*} [model] the initial model, created from the schema when omitted
+   * @param {Object} [options = {}] options
+   * @param {boolean} [options.validate = true] validate changes, invalid changes throw and are not applied
+   * @param {number} [options.historyLimit = 100] the number of changes which can be undone
+   */
+  constructor(schema, model, options = {}) {
+    super();
+    this.schema = schema;
+    this.options = { ...defaultOptions, ...options };
+    this.model = model === undefined ? schema.createDataFromSchema() : model;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pending = null;
+  }
+
+  /**
+   * Retrieves the value at the specified path
+   *
+   * @param {string} [path = ''] the path of the value, the whole model when empty
+   * @return {*} value
+   */
+  get(path = '') {
+    const keys = SchemaPath.toKeys(path);
+    const model = this.pending ? this.pending.model : this.model;
+    return keys.length ? lodash.get(model, keys) : model;
+  }
+
+  /**
+   * Sets the value at the specified path
+   *
+   * @param {string} path the path of the value, the whole model when empty
+   * @param {*} value
+   * @return {SchemaModel} this
+   * @throws {SchemaValidationError} if the value is invalid
+   * @throws {Error} if there is no subschema at path
+   */
+  set(path, value) {
+    const keys = SchemaPath.toKeys(path);
+    return this.apply('set', [path], (model) => {
+      if (!keys.length) {
+        return value;
+      }
+      lodash.set(model, keys, value);
+      return model;
+    }, (model) => {
+      this.schema.validateAt(path, model);
+    });
+  }
+
+  /**
+   * Inserts a new element, created from the schema, into an array
+   *
+   * @param {string} arrayPath the path of the array
+   * @param {number} [index] the index of the new element, appended when omitted
+   * @param {?Object} [variant] the variant of the new element if the array supports variants
+   * @return {string} the path of the new element
+   * @throws {SchemaValidationError} if the array would have more than `maxItems` elements
+   * @throws {Error} if there is no array subschema at arrayPath
+   */
+  insert(arrayPath, index, variant) {
+    const arrSchema = this.schema.getSubschemaFromPath(arrayPath, this.get());
+    if (!arrSchema || !arrSchema.items) {
+      throw new Error(`no array subschema found at ${arrayPath}`);
+    }
+    const element = this.schema.createNewArrayElement(arrSchema, variant);
+    const array = this.get(arrayPath) || [];
+    const at = index === undefined ? array.length : lodash.clamp(index, 0, array.length);
+    const path = SchemaPath.append(arrayPath, at);
+
+    this.insertValue(arrayPath, at, element, 'insert', [path]);
+    return path;
+  }
+
+  /**
+   * Removes the value at the specified path, array elements are spliced out
+   *
+   * @param {string} path
+   * @return {SchemaModel} this
+   * @throws {SchemaValidationError} if the value is required or the array would have fewer than `minItems` elements
+   */
+  remove(path) {
+    const segments = SchemaPath.parse(path);
+    const last = lodash.last(segments);
+    if (!last) {
+      throw new Error('unable to remove the root of the model');
+    }
+    const parentPath = SchemaPath.format(segments.slice(0, -1));
+
+    return this.apply('remove', [path], (model) => {
+      const parent = parentPath ? lodash.get(model, SchemaPath.toKeys(parentPath)) : model;
+      if (Array.isArray(parent) && last.index !== undefined) {
+        parent.splice(last.index, 1);
+      } else if (lodash.isObject(parent)) {
+        delete parent[last.key !== undefined ? last.key : last.index];
+      }
+      return model;
+    }, (model) => {
+      if (last.index !== undefined) {
+        this.validateItemCount(parentPath, model);
+      } else {
+        this.schema.validateAt(path, model);
+      }
+    });
+  }
+
+  /**
+   * Moves the value at a path to another path.
+   *
+   * When the destination is an array element the value is inserted at that index,
+   * within the same array `to` is the index of the element once moved.
+   *
+   * @param {string} from the path of the value to move
+   * @param {string} to the destination path
+   * @return {SchemaModel} this
+   * @throws {SchemaValidationError} if the move leaves the model invalid
+   */
+  move(from, to) {
+    const value = lodash.cloneDeep(this.get(from));
+    if (value === undefined) {
+      throw new Error(`no value found at ${from}`);
+    }
+    const segments = SchemaPath.parse(to);
+    const last = lodash.last(segments);
+
+    this.batch('move', () => {
+      this.remove(from);
+      if (last && last.index !== undefined) {
+        this.insertValue(SchemaPath.format(segments.slice(0, -1)), last.index, value, 'move', [from, to]);
+      } else {
+        this.set(to, value);
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Makes several changes as one.
+   *
+   * Changes are validated when `fn` returns, emit a single `transaction` change event
+   * with all of the affected paths and are undone together. Nothing is applied if `fn`
+   * or validation throws. Nested transactions join the outer transaction.
+   *
+   * @param {function(model:SchemaModel):*} fn makes the changes
+   * @return {*} the result of fn
+   * @throws {SchemaValidationError} if the changes leave the model invalid
+   */
+  transaction(fn) {
+    return this.batch('transaction', fn);
+  }
+
+  /**
+   * Makes several changes as one change of a type, see `transaction`
+   *
+   * @param {string} type the type of the change event
+   * @param {function(model:SchemaModel):*} fn makes the changes
+   * @return {*} the result of fn
+   * @throws {SchemaValidationError} if the changes leave the model invalid
+   */
+  batch(type, fn) {
+    if (this.pending) {
+      return fn(this);
+    }
+
+    const before = this.model;
+    this.pending = {
+      model: lodash.cloneDeep(before),
+      paths: [],
+      validators: [],
+    };
+
+    let result;
+    const pending = this.pending;
+    try {
+      result = fn(this);
+      pending.validators.forEach((validator) => { validator(pending.model); });
+    } finally {
+      this.pending = null;
+    }
+
+    if (pending.paths.length) {
+      this.commit(type, before, pending.model, lodash.uniq(pending.paths));
+    }
+    return result;
+  }
+
+  /**
+   * Determines if there is a change to undo
+   *
+   * @return {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Determines if there is a change to redo
+   *
+   * @return {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Undoes the last change
+   *
+   * @return {boolean} true if a change was undone
+   * @throws {Error} if called within a transaction
+   */
+  undo() {
+    return this.travel(this.undoStack, this.redoStack, 'undo', 'before');
+  }
+
+  /**
+   * Redoes the last undone change
+   *
+   * @return {boolean} true if a change was redone
+   * @throws {Error} if called within a transaction
+   */
+  redo() {
+    return this.travel(this.redoStack, this.undoStack, 'redo', 'after');
+  }
+
+  /**
+   * Moves a change from one history stack to the other, restoring its model
+   *
+   * @param {Array<Object>} from the stack to take the change from
+   * @param {Array<Object>} to the stack to record the change to
+   * @param {string} type the type of change event
+   * @param {string} state `before` or `after`, the model to restore
+   * @return {boolean} true if there was a change
+   */
+  travel(from, to, type, state) {
+    if (this.pending) {
+      throw new Error(`unable to ${type} within a transaction`);
+    }
+    const entry = from.pop();
+    if (!entry) {
+      return false;
+    }
+    to.push(entry);
+    this.model = entry[state];
+    this.emit('change', { type, paths: entry.paths, model: this.model });
+    return true;
+  }
+
+  /**
+   * Inserts a value into an array
+   *
+   * @param {string} arrayPath the path of the array, created when missing
+   * @param {number} index
+   * @param {*} value
+   * @param {string} type the type of change event
+   * @param {Array<string>} paths the affected paths
+   * @return {SchemaModel} this
+   */
+  insertValue(arrayPath, index, value, type, paths) {
+    const keys = SchemaPath.toKeys(arrayPath);
+    return this.apply(type, paths, (model) => {
+      const array = keys.length ? lodash.get(model, keys) : model;
+      if (Array.isArray(array)) {
+        array.splice(index, 0, value);
+        return model;
+      }
+      if (!keys.length) {
+        return [value];
+      }
+      lodash.set(model, keys, [value]);
+      return model;
+    }, (model) => {
+      this.validateItemCount(arrayPath, model);
+    });
+  }
+
+  /**
+   * Applies a change to a copy of the model, or to the model of the pending transaction
+   *
+   * @param {string} type the type of change event
+   * @param {Array<string>} paths the affected paths
+   * @param {function(model:*):*} mutate changes the model and returns it
+   * @param {function(model:*)} validator validates the changed model
+   * @return {SchemaModel} this
+   */
+  apply(type, paths, mutate, validator) {
+    const formatted = paths.map((path) => { return SchemaPath.format(path); });
+    const validators = this.options.validate ? [validator] : [];
+
+    if (this.pending) {
+      this.pending.model = mutate(this.pending.model);
+      this.pending.paths.push(...formatted);
+      this.pending.validators.push(...validators);
+      return this;
+    }
+
+    const before = this.model;
+    const after = mutate(lodash.cloneDeep(before));
+    validators.forEach((validate) => { validate(after); });
+    this.commit(type, before, after, formatted);
+    return this;
+  }
+
+  /**
+   * Records a change in the history and notifies listeners
+   *
+   * @param {string} type the type of change event
+   * @param {*} before the model before the change
+   * @param {*} after the model after the change
+   * @param {Array<string>} paths the affected paths
+   */
+  commit(type, before, after, paths) {
+    this.model = after;
+    this.undoStack.push({ before, after, paths });
+    if (this.undoStack.length > this.options.historyLimit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.emit('change', { type, paths, model: after });
+  }
+
+  /**
+   * Validates the number of elements of an array against `minItems` and `maxItems`
+   *
+   * @param {string} arrayPath
+   * @param {*} model
+   * @throws {SchemaValidationError} if the array has too few or too many elements
+   */
+  validateItemCount(arrayPath, model) {
+    const arrSchema = this.schema.getSubschemaFromPath(arrayPath, model);
+    const array = SchemaPath.parse(arrayPath).length ? lodash.get(model, SchemaPath.toKeys(arrayPath)) : model;
+    if (!arrSchema || !Array.isArray(array)) {
+      return;
+    }
+
+    let error;
+    if (array.length < arrSchema.minItems) {
+      error = {
+        keyword: 'minItems',
+        params: { limit: arrSchema.minItems },
+        message: `should NOT have fewer than ${arrSchema.minItems} items`,
+      };
+    } else if (array.length > arrSchema.maxItems) {
+      error = {
+        keyword: 'maxItems',
+        params: { limit: arrSchema.maxItems },
+        message: `should NOT have more than ${arrSchema.maxItems} items`,
+      };
+    }
+    if (error) {
+      throw new SchemaValidationError(this.schema.formatErrors([{
+        ...error,
+        dataPath: SchemaPath.toDataPath(arrayPath),
+        schemaPath: `#/${error.keyword}`,
+      }], model));
+    }
+  }
+}
+
+module.exports = SchemaModel;
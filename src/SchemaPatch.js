@@ -0,0 +1,388 @@
+const lodash = require('lodash');
+
+const SchemaPath = require('./SchemaPath');
+
+/**
+ * Operations defined by RFC 6902
+ */
+const operations = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * @class {SchemaPatch}
+ *
+ * Computes and applies RFC 6902 JSON Patches between models of a Schema.
+ *
+ * Diffs descend into objects and arrays so only the values which changed are replaced.
+ * Arrays whose items declare an `x-key` property (`items: { 'x-key': 'id', ... }`) are
+ * matched by key, emitting `move` operations for reordered items and in place edits
+ * for items which changed. Other arrays are compared index by index.
+ *
+ * Operation paths are JSON pointers to the same values as the paths of `walkModel`
+ * (`sections[0].title` => `/sections/0/title`).
+ */
+class SchemaPatch {
+  /**
+   * @param {Schema} schema the Schema the models are described by
+   */
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  /**
+   * Computes the operations turning one model into another
+   *
+   * @param {*} oldModel
+   * @param {*} newModel
+   * @return {Array<Object>} JSON Patch operations
+   */
+  diff(oldModel, newModel) {
+    const ops = [];
+    this.diffValue(this.schema.schema, oldModel, newModel, [], ops);
+    return ops;
+  }
+
+  /**
+   * Appends the operations turning one value into another
+   *
+   * @param {?Object} subSchema the subschema of the values, if any
+   * @param {*} oldValue
+   * @param {*} newValue
+   * @param {Array<Object>} segments path of the values
+   * @param {Array<Object>} ops operations
+   */
+  diffValue(subSchema, oldValue, newValue, segments, ops) {
+    if (lodash.isEqual(oldValue, newValue)) {
+      return;
+    }
+
+    const path = SchemaPath.toPointer(segments);
+    if (oldValue === undefined) {
+      ops.push({ op: 'add', path, value: lodash.cloneDeep(newValue) });
+      return;
+    }
+    if (newValue === undefined) {
+      ops.push({ op: 'remove', path });
+      return;
+    }
+
+    const newSchema = this.schema.valueSubschema(subSchema, newValue);
+    if (!this.schema.isSameVariant(subSchema, oldValue, newValue)) {
+      // a different variant is a different value altogether
+      ops.push({ op: 'replace', path, value: lodash.cloneDeep(newValue) });
+    } else if (lodash.isPlainObject(oldValue) && lodash.isPlainObject(newValue)) {
+      this.diffObject(newSchema, oldValue, newValue, segments, ops);
+    } else if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+      const key = newSchema && this.schema.itemKey(newSchema);
+      if (!key || !this.diffKeyedArray(newSchema, key, oldValue, newValue, segments, ops)) {
+        this.diffArray(newSchema, oldValue, newValue, segments, ops);
+      }
+    } else {
+      ops.push({ op: 'replace', path, value: lodash.cloneDeep(newValue) });
+    }
+  }
+
+  /**
+   * Appends the operations turning one object into another
+   *
+   * @param {?Object} subSchema
+   * @param {Object} oldValue
+   * @param {Object} newValue
+   * @param {Array<Object>} segments
+   * @param {Array<Object>} ops
+   */
+  diffObject(subSchema, oldValue, newValue, segments, ops) {
+    Object.keys(oldValue).forEach((key) => {
+      if (!lodash.has(newValue, [key])) {
+        ops.push({ op: 'remove', path: SchemaPath.toPointer(segments.concat({ key })) });
+      }
+    });
+    Object.keys(newValue).forEach((key) => {
+      const propertySchema = subSchema && this.schema.propertySubschema(subSchema, key);
+      this.diffValue(propertySchema, oldValue[key], newValue[key], segments.concat({ key }), ops);
+    });
+  }
+
+  /**
+   * Appends the operations turning one array into another, comparing items by index
+   *
+   * @param {?Object} subSchema
+   * @param {Array} oldValue
+   * @param {Array} newValue
+   * @param {Array<Object>} segments
+   * @param {Array<Object>} ops
+   */
+  diffArray(subSchema, oldValue, newValue, segments, ops) {
+    const common = Math.min(oldValue.length, newValue.length);
+    for (let index = 0; index < common; index++) {
+      const itemSchema = subSchema && this.schema.itemsSubschema(subSchema, index);
+      this.diffValue(itemSchema, oldValue[index], newValue[index], segments.concat({ index }), ops);
+    }
+    for (let index = oldValue.length - 1; index >= common; index--) {
+      ops.push({ op: 'remove', path: SchemaPath.toPointer(segments.concat({ index })) });
+    }
+    for (let index = common; index < newValue.length; index++) {
+      ops.push({
+        op: 'add',
+        path: SchemaPath.toPointer(segments.concat({ index })),
+        value: lodash.cloneDeep(newValue[index]),
+      });
+    }
+  }
+
+  /**
+   * Appends the operations turning one array into another, matching items by key:
+   * items whose key is gone are removed, items which moved are moved, then edited in place,
+   * and items with a new key are added
+   *
+   * @param {Object} subSchema
+   * @param {string} key the name of the property identifying items
+   * @param {Array} oldValue
+   * @param {Array} newValue
+   * @param {Array<Object>} segments
+   * @param {Array<Object>} ops
+   * @return {boolean} false if the items cannot be matched (missing or duplicate keys)
+   */
+  diffKeyedArray(subSchema, key, oldValue, newValue, segments, ops) {
+    const oldKeys = oldValue.map((item) => { return this.keyOf(item, key); });
+    const newKeys = newValue.map((item) => { return this.keyOf(item, key); });
+    const isMatchable = (keys) => {
+      return !keys.includes(undefined) && lodash.uniq(keys).length === keys.length;
+    };
+    if (!isMatchable(oldKeys) || !isMatchable(newKeys)) {
+      return false;
+    }
+
+    const itemSchema = this.schema.itemsSubschema(subSchema);
+    const pointer = (index) => { return SchemaPath.toPointer(segments.concat({ index })); };
+
+    // working copy of the keys as operations are applied
+    const keys = oldKeys.slice();
+    const items = oldValue.slice();
+    for (let index = keys.length - 1; index >= 0; index--) {
+      if (!newKeys.includes(keys[index])) {
+        ops.push({ op: 'remove', path: pointer(index) });
+        keys.splice(index, 1);
+        items.splice(index, 1);
+      }
+    }
+
+    newKeys.forEach((one, index) => {
+      const at = keys.indexOf(one);
+      if (at === -1) {
+        ops.push({ op: 'add', path: pointer(index), value: lodash.cloneDeep(newValue[index]) });
+        keys.splice(index, 0, one);
+        items.splice(index, 0, newValue[index]);
+        return;
+      }
+      if (at !== index) {
+        ops.push({ op: 'move', from: pointer(at), path: pointer(index) });
+        keys.splice(index, 0, keys.splice(at, 1)[0]);
+        items.splice(index, 0, items.splice(at, 1)[0]);
+      }
+      this.diffValue(itemSchema, items[index], newValue[index], segments.concat({ index }), ops);
+    });
+    return true;
+  }
+
+  /**
+   * Retrieves the key of an array item
+   *
+   * @param {*} item
+   * @param {string} key the name of the property identifying items
+   * @return {?string} the key or undefined
+   */
+  keyOf(item, key) {
+    if (!lodash.isPlainObject(item) || item[key] === undefined || lodash.isObject(item[key])) {
+      return undefined;
+    }
+    return String(item[key]);
+  }
+
+  /**
+   * Applies operations to a copy of a model
+   *
+   * Every path (and `from`) must be described by the schema. Operations are applied
+   * in order, the patched model is then validated.
+   *
+   * @param {*} model the model to patch, it is not modified
+   * @param {Array<Object>} patch JSON Patch operations
+   * @return {*} the patched model
+   * @throws {Error} if an operation is malformed, fails or touches a path not in the schema
+   * @throws {SchemaValidationError} if the patched model is invalid
+   */
+  apply(model, patch) {
+    if (!Array.isArray(patch)) {
+      throw new Error('a patch must be an array of operations');
+    }
+
+    let document = lodash.cloneDeep(model);
+    patch.forEach((operation, index) => {
+      if (!lodash.isPlainObject(operation) || !operations.includes(operation.op) || typeof operation.path !== 'string') {
+        throw new Error(`malformed patch operation at ${index}`);
+      }
+      document = this.applyOperation(document, operation);
+    });
+
+    this.schema.validate(document);
+    return document;
+  }
+
+  /**
+   * Applies an operation
+   *
+   * @param {*} document the document being patched, modified in place
+   * @param {Object} operation
+   * @return {*} the document, or the new root when the root is replaced
+   * @throws {Error} if the operation fails
+   */
+  applyOperation(document, operation) {
+    const { op } = operation;
+    const target = this.locate(document, operation.path, op === 'add' || op === 'move' || op === 'copy');
+
+    let value = operation.value;
+    if (op === 'move' || op === 'copy') {
+      if (typeof operation.from !== 'string') {
+        throw new Error(`${op} operation at ${operation.path} is missing from`);
+      }
+      const source = this.locate(document, operation.from, false);
+      value = lodash.cloneDeep(this.read(document, source));
+      if (op === 'move') {
+        if (operation.path === operation.from) {
+          return document;
+        }
+        if (operation.path.startsWith(`${operation.from}/`)) {
+          throw new Error(`unable to move ${operation.from} into itself`);
+        }
+        this.removeAt(document, source);
+        // the destination is located again as the removal may have shifted array indices
+        return this.addAt(document, this.locate(document, operation.path, true), value);
+      }
+      return this.addAt(document, target, value);
+    }
+
+    if (op !== 'remove' && !lodash.has(operation, 'value')) {
+      throw new Error(`${op} operation at ${operation.path} is missing value`);
+    }
+
+    switch (op) {
+      case 'add':
+        return this.addAt(document, target, lodash.cloneDeep(value));
+      case 'remove':
+        this.removeAt(document, target);
+        return document;
+      case 'replace':
+        this.read(document, target);
+        if (!target.segments.length) {
+          return lodash.cloneDeep(value);
+        }
+        target.parent[target.key] = lodash.cloneDeep(value);
+        return document;
+      default:
+        if (!lodash.isEqual(this.read(document, target), value)) {
+          throw new Error(`test operation failed at ${operation.path}`);
+        }
+        return document;
+    }
+  }
+
+  /**
+   * Locates the value a JSON pointer refers to, checking the schema describes it
+   *
+   * @param {*} document
+   * @param {string} pointer
+   * @param {boolean} isAdding true if the pointer may refer to a new value (`-` appends to an array)
+   * @return {{segments: Array<Object>, parent: *, key: string|number}} location
+   * @throws {Error} if the parent does not exist or the path is not in the schema
+   */
+  locate(document, pointer, isAdding) {
+    const tokens = SchemaPath.pointerTokens(pointer);
+    const segments = [];
+    let parent;
+    let key;
+    let value = document;
+
+    tokens.forEach((token, i) => {
+      const isLast = i === tokens.length - 1;
+      if (Array.isArray(value)) {
+        const limit = isLast && isAdding ? value.length : value.length - 1;
+        const index = token === '-' && isLast && isAdding ? value.length : Number(token);
+        if (!/^(0|[1-9]\d*|-)$/.test(token) || !(index <= limit)) {
+          throw new Error(`invalid array index at ${pointer}`);
+        }
+        segments.push({ index });
+        key = index;
+      } else if (lodash.isObject(value)) {
+        segments.push({ key: token });
+        key = token;
+      } else {
+        throw new Error(`no value found at ${pointer}`);
+      }
+      parent = value;
+      value = parent[key];
+    });
+
+    if (segments.length && !this.schema.getSubschemaFromPath(segments, document)) {
+      throw new Error(`path ${SchemaPath.format(segments)} is not in the schema`);
+    }
+    return { segments, parent, key };
+  }
+
+  /**
+   * Reads the value at a location
+   *
+   * @param {*} document
+   * @param {Object} location
+   * @return {*} value
+   * @throws {Error} if there is no value
+   */
+  read(document, location) {
+    if (!location.segments.length) {
+      return document;
+    }
+    if (!lodash.has(location.parent, [location.key])) {
+      throw new Error(`no value found at ${SchemaPath.toPointer(location.segments)}`);
+    }
+    return location.parent[location.key];
+  }
+
+  /**
+   * Adds a value at a location, inserting it into arrays
+   *
+   * @param {*} document
+   * @param {Object} location
+   * @param {*} value
+   * @return {*} the document, or the value when added at the root
+   */
+  addAt(document, location, value) {
+    if (!location.segments.length) {
+      return value;
+    }
+    if (Array.isArray(location.parent)) {
+      location.parent.splice(location.key, 0, value);
+    } else {
+      location.parent[location.key] = value;
+    }
+    return document;
+  }
+
+  /**
+   * Removes the value at a location, splicing it out of arrays
+   *
+   * @param {*} document
+   * @param {Object} location
+   * @throws {Error} if there is no value or the location is the root
+   */
+  removeAt(document, location) {
+    if (!location.segments.length) {
+      throw new Error('unable to remove the root of the model');
+    }
+    this.read(document, location);
+    if (Array.isArray(location.parent)) {
+      location.parent.splice(location.key, 1);
+    } else {
+      delete location.parent[location.key];
+    }
+  }
+}
+
+module.exports = SchemaPatch;
@@ -0,0 +1,292 @@
+/**
+ * Keys which can be written in dot notation. Anything else is written as `['key']`
+ */
+const dotKey = /^[^.[\]'"\\]+$/;
+
+/**
+ * @class {SchemaPath}
+ *
+ * Helper class for working with paths
+ *
+ * Model paths are written in dot / bracket notation (`sections[0].header['en-US']`)
+ * and are parsed into segments which are either a key (`{ key: 'header' }`)
+ * or an array index (`{ index: 0 }`).
+ *
+ * Path templates stand for the values of every element of an array with `[*]`
+ * (`sections[*].header`), parsed into `{ index: '*' }`.
+ */
+class SchemaPath {
+  /**
+   * Parses a path in dot / bracket notation into segments
+   *
+   * `a.b[0]['c.d']` => [{ key: 'a' }, { key: 'b' }, { index: 0 }, { key: 'c.d' }]
+   *
+   * Quoted keys may use single or double quotes and escape quotes with a backslash.
+   *
+   * @param {string|Array<Object>} path the path to parse, segments are returned as is
+   * @return {Array<Object>} segments
+   * @throws {Error} if the path is malformed
+   */
+  static parse(path) {
+    if (Array.isArray(path)) {
+      return path;
+    }
+
+    const segments = [];
+    const text = path === undefined || path === null ? '' : String(path);
+    let i = 0;
+
+    while (i < text.length) {
+      const c = text[i];
+      if (c === '.') {
+        i++;
+      } else if (c === '[') {
+        const quote = text[i + 1];
+        if (quote === '\'' || quote === '"') {
+          let key = '';
+          i += 2;
+          while (i < text.length && text[i] !== quote) {
+            if (text[i] === '\\' && i + 1 < text.length) {
+              i++;
+            }
+            key += text[i++];
+          }
+          if (text[i + 1] !== ']') {
+            throw new Error(`malformed path ${text}`);
+          }
+          segments.push({ key });
+          i += 2;
+        } else {
+          const end = text.indexOf(']', i);
+          if (end === -1) {
+            throw new Error(`malformed path ${text}`);
+          }
+          const content = text.slice(i + 1, end);
+          if (/^\d+$/.test(content)) {
+            segments.push({ index: Number(content) });
+          } else {
+            segments.push(content === '*' ? { index: '*' } : { key: content });
+          }
+          i = end + 1;
+        }
+      } else {
+        let key = '';
+        while (i < text.length && text[i] !== '.' && text[i] !== '[') {
+          key += text[i++];
+        }
+        segments.push({ key });
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Formats segments into dot / bracket notation
+   *
+   * [{ key: 'a' }, { index: 0 }, { key: 'c.d' }] => `a[0]['c.d']`
+   *
+   * @param {Array<Object>|string} segments the segments to format
+   * @return {string} path
+   */
+  static format(segments) {
+    return SchemaPath.parse(segments).reduce((path, segment) => {
+      if (segment.index !== undefined) {
+        return `${path}[${segment.index}]`;
+      }
+      if (dotKey.test(segment.key)) {
+        return path ? `${path}.${segment.key}` : segment.key;
+      }
+      return `${path}['${segment.key.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}']`;
+    }, '');
+  }
+
+  /**
+   * Appends a key or an index to a path
+   *
+   * @param {string} path
+   * @param {string|number} keyOrIndex a key or an array index
+   * @return {string} path
+   */
+  static append(path, keyOrIndex) {
+    const segment = typeof keyOrIndex === 'number' ? { index: keyOrIndex } : { key: keyOrIndex };
+    return SchemaPath.format(SchemaPath.parse(path).concat(segment));
+  }
+
+  /**
+   * Converts a path into the keys and indices used by `lodash.get` / `lodash.set`
+   *
+   * `a[0]['c.d']` => ['a', 0, 'c.d']
+   *
+   * @param {string|Array<Object>} path
+   * @return {Array<string|number>} keys
+   */
+  static toKeys(path) {
+    return SchemaPath.parse(path).map((segment) => {
+      return segment.index !== undefined ? segment.index : segment.key;
+    });
+  }
+
+  /**
+   * Formats a path as an Ajv `dataPath`
+   *
+   * `a['en-US'][0]` => `.a['en-US'][0]`
+   *
+   * @param {string|Array<Object>} path
+   * @return {string} dataPath
+   */
+  static toDataPath(path) {
+    return SchemaPath.parse(path).map((segment) => {
+      if (segment.index !== undefined) {
+        return `[${segment.index}]`;
+      }
+      if (/^[a-z$_][a-z$_0-9]*$/i.test(segment.key)) {
+        return `.${segment.key}`;
+      }
+      return `['${segment.key.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}']`;
+    }).join('');
+  }
+
+  /**
+   * Converts a path into an RFC 6901 JSON pointer
+   *
+   * `a[0]['b/c']` => `/a/0/b~1c`
+   *
+   * @param {string|Array<Object>} path
+   * @return {string} JSON pointer
+   */
+  static toPointer(path) {
+    return SchemaPath.parse(path).map((segment) => {
+      const token = segment.index !== undefined ? String(segment.index) : segment.key;
+      return `/${SchemaPath.escapePointerToken(token)}`;
+    }).join('');
+  }
+
+  /**
+   * Converts an RFC 6901 JSON pointer (or a `#` uri fragment) into a path
+   *
+   * Tokens which are array indices (`0`, `12`) become index segments
+   *
+   * `/a/0/b~1c` => `a[0]['b/c']`
+   *
+   * @param {string} pointer
+   * @return {string} path
+   */
+  static fromPointer(pointer) {
+    return SchemaPath.format(SchemaPath.parsePointer(pointer));
+  }
+
+  /**
+   * Parses an RFC 6901 JSON pointer (or a `#` uri fragment) into segments
+   *
+   * @param {string} pointer
+   * @return {Array<Object>} segments
+   */
+  static parsePointer(pointer) {
+    return SchemaPath.pointerTokens(pointer).map((token) => {
+      return /^(0|[1-9]\d*)$/.test(token) ? { index: Number(token) } : { key: token };
+    });
+  }
+
+  /**
+   * Splits an RFC 6901 JSON pointer (or a `#` uri fragment) into unescaped tokens
+   *
+   * `#/definitions/a~1b` => ['definitions', 'a/b']
+   *
+   * @param {string} pointer
+   * @return {Array<string>} tokens
+   * @throws {Error} if the pointer is malformed
+   */
+  static pointerTokens(pointer) {
+    let text = pointer || '';
+    if (text.startsWith('#')) {
+      text = decodeURIComponent(text.slice(1));
+    }
+    if (!text) {
+      return [];
+    }
+    if (!text.startsWith('/')) {
+      throw new Error(`malformed JSON pointer ${pointer}`);
+    }
+    return text.slice(1).split('/').map((token) => {
+      return token.replace(/~1/g, '/').replace(/~0/g, '~');
+    });
+  }
+
+  /**
+   * Escapes a token for use in a JSON pointer
+   *
+   * @param {string} token
+   * @return {string} escaped token
+   */
+  static escapePointerToken(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  /**
+   * Resolves all segments of a path.
+   *
+   * Paths that look like test['abc'].temp are resolved to `test.abc.temp`
+   *
+   * @param {string} path a schema path to resolve -- array indices are left as is
+   * @return {string} resolved path
+   */
+  static resolvePath(path) {
+    return path.split('.').map((segment) => {
+      return segment.replace(/\['/g, '.').replace(/'\]/g, '.').replace(/\.$/, '');
+    }).join('.');
+  }
+
+  /**
+   * Computes the parent of the specified path
+   *
+   * `test.abc.temp` => `test.abc`
+   * `test.items[2]` => `test.items`
+   *
+   * @param {string} path
+   * @return {string} parent path
+   */
+  static parentPath(path) {
+    return SchemaPath.format(SchemaPath.parse(path).slice(0, -1));
+  }
+
+  /**
+   * Hydrates the specified path from a model path to schema path
+   *
+   * `test.abc.temp` => `test.properties.abc.properties.temp`
+   * `test[0].abc` => `properties.test.items.properties.abc`
+   *
+   * Without the schema, array indices always hydrate to `items`.
+   * Use `Schema.getSubschemaFromPath` to resolve tuples and variants.
+   *
+   * @param {string} path
+   * @return {string} hydrated path
+   */
+  static hydratePath(path) {
+    return SchemaPath.parse(path)
+      .reduce((segments, segment) => {
+        if (segment.index !== undefined) {
+          return segments.concat('items');
+        }
+        return segments.concat('properties', segment.key);
+      }, [])
+      .map((segment) => {
+        return `['${segment.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}']`;
+      })
+      .join('.');
+  }
+
+  /**
+   * Normalizes a schema path into dot notation
+   *
+   * `#/test/abc/temp` => `test.abc.temp`
+   *
+   * @param {string} path
+   * @return {string} hydrated path
+   */
+  static normalizeSchemaReferencePath(ref) {
+    return ref.replace('#/', '').replace(/\//g, '.');
+  }
+}
+
+module.exports = SchemaPath;
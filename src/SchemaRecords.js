@@ -0,0 +1,112 @@
+const lodash = require('lodash');
+
+/**
+ * Resolves after a delay, rejecting when the signal is aborted
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @return {Promise}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * @class {MemoryRecordProvider}
+ *
+ * Provider of records kept in memory, for tests and local data.
+ *
+ * Providers implement `find(collection, query, signal)` resolving the records of a collection
+ * whose properties equal those of the query.
+ */
+class MemoryRecordProvider {
+  /**
+   * @param {Object} [collections = {}] arrays of records by collection name
+   * @param {Object} [options = {}] options
+   * @param {number} [options.latency = 0] the delay of lookups in milliseconds, to simulate I/O
+   */
+  constructor(collections = {}, options = {}) {
+    this.collections = lodash.mapValues(collections, (records) => { return records.slice(); });
+    this.latency = options.latency || 0;
+  }
+
+  /**
+   * Adds a record to a collection
+   *
+   * @param {string} collection
+   * @param {Object} record
+   * @return {MemoryRecordProvider} this
+   */
+  add(collection, record) {
+    this.collections[collection] = (this.collections[collection] || []).concat(record);
+    return this;
+  }
+
+  /**
+   * Finds the records of a collection matching a query
+   *
+   * @param {string} collection
+   * @param {Object} query
+   * @param {AbortSignal} [signal]
+   * @return {Promise<Array<Object>>} records
+   */
+  async find(collection, query, signal) {
+    await delay(this.latency, signal);
+    return lodash.filter(this.collections[collection] || [], lodash.matches(query));
+  }
+}
+
+/**
+ * Creates the async `$sprout` keywords validating values against the records of a provider
+ *
+ *  - `unique: {collection, property, key}` no record of the collection has the value as its
+ *    `property` (default: the name of the property validated), except the record whose `key`
+ *    equals that of the object holding the value
+ *  - `exists: {collection, property = 'id'}` a record of the collection has the value as its `property`
+ *
+ * `Object.entries(recordKeywords(provider)).forEach(([name, keyword]) => schema.registerKeyword(name, keyword))`
+ *
+ * @param {{find: function(collection:string, query:Object, signal:AbortSignal):Promise<Array<Object>>}} provider
+ * @return {{unique: Object, exists: Object}} keyword definitions
+ */
+function recordKeywords(provider) {
+  return {
+    unique: {
+      async: true,
+      message: 'should be unique',
+      validate: async (options, data, subSchema, dataPath, parentData, property, rootData, signal) => {
+        const { collection, key } = options;
+        const records = await provider.find(collection, { [options.property || property]: data }, signal);
+        return records.every((record) => {
+          return key !== undefined && lodash.isObject(parentData) && parentData[key] !== undefined &&
+            lodash.isEqual(record[key], parentData[key]);
+        });
+      },
+    },
+    exists: {
+      async: true,
+      message: 'should refer to an existing record',
+      validate: async (options, data, subSchema, dataPath, parentData, property, rootData, signal) => {
+        const records = await provider.find(options.collection, { [options.property || 'id']: data }, signal);
+        return records.length > 0;
+      },
+    },
+  };
+}
+
+module.exports = {
+  MemoryRecordProvider,
+  recordKeywords,
+};
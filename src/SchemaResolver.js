@@ -0,0 +1,476 @@
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const lodash = require('lodash');
+
+const SchemaPath = require('./SchemaPath');
+const { dataKeywords, nameMapKeywords } = require('./SchemaKeywords');
+
+/**
+ * Splits a uri into its document and fragment parts
+ *
+ * `common/address.json#/definitions/Address` => ['common/address.json', '/definitions/Address']
+ *
+ * @param {string} uri
+ * @return {Array<string>} [document, fragment]
+ */
+function splitUri(uri) {
+  const index = uri.indexOf('#');
+  if (index === -1) {
+    return [uri, ''];
+  }
+  return [uri.slice(0, index), decodeURIComponent(uri.slice(index + 1))];
+}
+
+/**
+ * Resolves a JSON pointer fragment (`/definitions/Address`) against a document
+ *
+ * @param {Object} document
+ * @param {string} pointer
+ * @return {*} the value at pointer or undefined
+ */
+function getAtPointer(document, pointer) {
+  const tokens = SchemaPath.pointerTokens(pointer);
+  return tokens.length ? lodash.get(document, tokens) : document;
+}
+
+/**
+ * Appends a key to a JSON pointer
+ *
+ * @param {string} pointer
+ * @param {string|number} key
+ * @return {string} pointer
+ */
+function appendPointer(pointer, key) {
+  return `${pointer}/${SchemaPath.escapePointerToken(key)}`;
+}
+
+/**
+ * Walks every subschema in a document, tracking the base uri established by `$id`
+ *
+ * @param {*} node
+ * @param {string} base base uri of node
+ * @param {string} pointer JSON pointer of node within its document
+ * @param {function(node:Object, base:string, pointer:string)} cb
+ * @param {boolean} [isNameMap = false] true if node maps names to subschemas (`properties`...)
+ */
+function walkWithBase(node, base, pointer, cb, isNameMap = false) {
+  if (Array.isArray(node)) {
+    node.forEach((item, index) => {
+      walkWithBase(item, base, appendPointer(pointer, index), cb);
+    });
+  } else if (isNameMap && lodash.isPlainObject(node)) {
+    Object.keys(node).forEach((key) => {
+      walkWithBase(node[key], base, appendPointer(pointer, key), cb);
+    });
+  } else if (lodash.isPlainObject(node)) {
+    const nodeBase = typeof node.$id === 'string' ? url.resolve(base, node.$id) : base;
+    cb(node, nodeBase, pointer);
+    Object.keys(node).forEach((key) => {
+      if (!dataKeywords.includes(key)) {
+        walkWithBase(node[key], nodeBase, appendPointer(pointer, key), cb, nameMapKeywords.includes(key));
+      }
+    });
+  }
+}
+
+/**
+ * @class {SchemaRegistry}
+ *
+ * In-memory resolver for schemas keyed by `$id` (or an explicit uri)
+ */
+class SchemaRegistry {
+  constructor(schemas = []) {
+    this.schemas = {};
+    schemas.forEach((schema) => {
+      this.add(schema);
+    });
+  }
+
+  /**
+   * Registers a schema document
+   *
+   * @param {Object} schema the schema document
+   * @param {string} [uri = schema.$id] the uri to register the document under
+   * @return {SchemaRegistry} this
+   * @throws {Error} if there is no uri to register the schema under
+   */
+  add(schema, uri = schema && schema.$id) {
+    if (!uri) {
+      throw new Error('schema registered without an $id or uri');
+    }
+    this.schemas[splitUri(uri)[0]] = schema;
+    return this;
+  }
+
+  /**
+   * Retrieves a registered schema document
+   *
+   * @param {string} uri
+   * @return {?Object} the schema document or undefined
+   */
+  resolve(uri) {
+    return this.schemas[splitUri(uri)[0]];
+  }
+
+  resolveAsync(uri) {
+    return Promise.resolve(this.resolve(uri));
+  }
+}
+
+/**
+ * @class {FileSystemResolver}
+ *
+ * Loads schema documents from the file system relative to a root directory
+ */
+class FileSystemResolver {
+  constructor({ root = process.cwd() } = {}) {
+    this.root = root;
+  }
+
+  /**
+   * Computes the file name of a uri. Only relative, absolute and `file:` uris are handled
+   *
+   * @param {string} uri
+   * @return {?string} file name or undefined if the uri is not a file
+   */
+  fileName(uri) {
+    const documentUri = splitUri(uri)[0];
+    if (documentUri.startsWith('file://')) {
+      return url.fileURLToPath(documentUri);
+    }
+    if (/^[a-z][a-z0-9+.-]*:/i.test(documentUri)) {
+      return undefined;
+    }
+    return path.resolve(this.root, documentUri);
+  }
+
+  resolve(uri) {
+    const fileName = this.fileName(uri);
+    if (!fileName || !fs.existsSync(fileName)) {
+      return undefined;
+    }
+    return JSON.parse(fs.readFileSync(fileName, 'utf8'));
+  }
+
+  resolveAsync(uri) {
+    const fileName = this.fileName(uri);
+    if (!fileName) {
+      return Promise.resolve(undefined);
+    }
+    return new Promise((resolve, reject) => {
+      fs.readFile(fileName, 'utf8', (err, text) => {
+        if (err) {
+          if (err.code === 'ENOENT') {
+            resolve(undefined);
+          } else {
+            reject(err);
+          }
+          return;
+        }
+        try {
+          resolve(JSON.parse(text));
+        } catch (e) {
+          reject(e);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Resolves a uri synchronously using the first resolver which knows about it.
+ *
+ * Resolvers are either objects implementing `resolve(uri)` or functions taking the uri
+ *
+ * @param {Array} resolvers
+ * @param {string} uri
+ * @return {?Object} the document
+ */
+function resolveSync(resolvers, uri) {
+  for (let i = 0; i < resolvers.length; i++) {
+    const resolver = resolvers[i];
+    const document = typeof resolver === 'function' ? resolver(uri) : resolver.resolve(uri);
+    if (document && typeof document.then === 'function') {
+      throw new Error(`resolver returned a promise for ${uri}, use Schema.load to load asynchronously`);
+    }
+    if (document !== undefined) {
+      return document;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Resolves a uri asynchronously using the first resolver which knows about it.
+ *
+ * @param {Array} resolvers
+ * @param {string} uri
+ * @return {Promise<?Object>} the document
+ */
+async function resolveAsync(resolvers, uri) {
+  for (let i = 0; i < resolvers.length; i++) {
+    const resolver = resolvers[i];
+    let document;
+    if (typeof resolver === 'function') {
+      document = await resolver(uri);
+    } else if (resolver.resolveAsync) {
+      document = await resolver.resolveAsync(uri);
+    } else {
+      document = await resolver.resolve(uri);
+    }
+    if (document !== undefined) {
+      return document;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * @class {SchemaResolver}
+ *
+ * Imports external references into a schema.
+ *
+ * Every `$ref` which points outside of the root document is resolved against the
+ * base uri in effect (following `$id` changes), loaded through the resolvers and
+ * copied into the root document's `definitions`. The `$ref` is then rewritten as an
+ * internal pointer so `Schema.hydrateReferences` can hydrate it like any other reference.
+ */
+class SchemaResolver {
+  constructor(resolvers = []) {
+    this.resolvers = resolvers;
+  }
+
+  /**
+   * Resolves a document synchronously using the first resolver which knows about it
+   *
+   * @param {string} uri
+   * @return {?Object} the document or undefined
+   */
+  resolve(uri) {
+    return resolveSync(this.resolvers, splitUri(uri)[0]);
+  }
+
+  /**
+   * Imports all external references of schema in place
+   *
+   * @param {Object} schema the root schema document
+   * @param {string} [baseUri = schema.$id] the uri of the root document
+   * @return {Object} schema
+   * @throws {Error} if a reference cannot be resolved
+   */
+  importExternalReferences(schema, baseUri = (schema && schema.$id) || '') {
+    this.root = schema;
+    this.rootUri = splitUri(url.resolve('', baseUri))[0];
+    this.documents = {};
+    this.resources = {};
+    this.imported = {};
+    this.definitionKeys = new Set(Object.keys(schema.definitions || {}));
+
+    this.registerDocument(schema, this.rootUri, true);
+    this.rewriteReferences(schema, this.rootUri);
+    return schema;
+  }
+
+  /**
+   * Records every resource (the document and each embedded `$id`) of document
+   *
+   * @param {Object} document
+   * @param {string} uri
+   * @param {boolean} isRoot true if document is the root document
+   */
+  registerDocument(document, uri, isRoot) {
+    this.documents[uri] = document;
+    walkWithBase(document, uri, '', (node, base, pointer) => {
+      if (!this.resources[base]) {
+        this.resources[base] = {
+          document,
+          pointer,
+          isRoot,
+        };
+      }
+    });
+    this.resources[uri] = {
+      document,
+      pointer: '',
+      isRoot,
+    };
+  }
+
+  /**
+   * Finds the resource for a document uri, loading it if needed
+   *
+   * @param {string} documentUri
+   * @return {Object} resource
+   * @throws {Error} if the document cannot be resolved
+   */
+  findResource(documentUri) {
+    if (!this.resources[documentUri]) {
+      const document = this.resolve(documentUri);
+      if (document === undefined) {
+        throw new Error(`unable to resolve schema reference ${documentUri}`);
+      }
+      this.registerDocument(document, documentUri, false);
+    }
+    return this.resources[documentUri];
+  }
+
+  /**
+   * Rewrites the references found in node which are resolved against base
+   *
+   * @param {Object} node
+   * @param {string} base
+   */
+  rewriteReferences(node, base) {
+    walkWithBase(node, base, '', (subschema, subschemaBase) => {
+      if (typeof subschema.$ref === 'string') {
+        subschema.$ref = this.internalReference(url.resolve(subschemaBase, subschema.$ref));
+      }
+    });
+  }
+
+  /**
+   * Computes the internal reference for an absolute reference, importing it if needed
+   *
+   * @param {string} uri the resolved reference
+   * @return {string} internal reference
+   */
+  internalReference(uri) {
+    const [documentUri, fragment] = splitUri(uri);
+    let resource;
+    let pointer = fragment;
+
+    if (fragment && !fragment.startsWith('/')) {
+      // plain name fragment -- `$id: "#address"`
+      this.findResource(documentUri);
+      resource = this.resources[uri];
+      if (!resource) {
+        throw new Error(`unable to resolve schema reference ${uri}`);
+      }
+      pointer = '';
+    } else {
+      resource = this.findResource(documentUri);
+    }
+
+    if (resource.isRoot) {
+      return `#${resource.pointer}${pointer}`;
+    }
+
+    if (!this.imported[uri]) {
+      const target = getAtPointer(getAtPointer(resource.document, resource.pointer), pointer);
+      if (target === undefined) {
+        throw new Error(`unable to resolve schema reference ${uri}`);
+      }
+      const key = this.definitionKey(uri);
+      // record the import before rewriting so cyclic references terminate
+      this.imported[uri] = `#${appendPointer('/definitions', key)}`;
+
+      const copy = lodash.cloneDeep(target);
+      this.rewriteReferences(copy, this.baseOf(resource, pointer));
+      // an imported `$id` would change the base for validation of the rewritten references
+      walkWithBase(copy, '', '', (subschema) => {
+        delete subschema.$id;
+      });
+
+      this.root.definitions = this.root.definitions || {};
+      this.root.definitions[key] = copy;
+    }
+    return this.imported[uri];
+  }
+
+  /**
+   * Computes the base uri in effect at pointer within a resource
+   *
+   * @param {Object} resource
+   * @param {string} pointer
+   * @return {string} base uri
+   */
+  baseOf(resource, pointer) {
+    const full = `${resource.pointer}${pointer}`;
+    let result = '';
+    walkWithBase(resource.document, this.uriOfDocument(resource.document), '', (node, base, at) => {
+      if (full === at || full.startsWith(`${at}/`)) {
+        result = base;
+      }
+    });
+    return result;
+  }
+
+  uriOfDocument(document) {
+    return Object.keys(this.documents).find((uri) => { return this.documents[uri] === document; });
+  }
+
+  /**
+   * Creates a unique, path friendly key in `definitions` for an imported uri
+   *
+   * @param {string} uri
+   * @return {string} key
+   */
+  definitionKey(uri) {
+    const base = uri
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')
+      .replace(/[^A-Za-z0-9_$-]+/g, '_')
+      .replace(/^_+|_+$/g, '') || 'external';
+    let key = base;
+    let index = 1;
+    while (this.definitionKeys.has(key)) {
+      key = `${base}_${index++}`;
+    }
+    this.definitionKeys.add(key);
+    return key;
+  }
+
+  /**
+   * Loads a document and every document it references, asynchronously
+   *
+   * @param {string} uri the uri of the root document
+   * @param {Array} resolvers
+   * @return {Promise<{document: Object, registry: SchemaRegistry}>} the root document and a registry of every document loaded
+   * @throws {Error} if a reference cannot be resolved
+   */
+  static async prefetch(uri, resolvers = []) {
+    const registry = new SchemaRegistry();
+    const rootUri = splitUri(url.resolve('', uri))[0];
+    const known = new Set();
+    const pending = [rootUri];
+
+    while (pending.length) {
+      const documentUri = pending.shift();
+      if (!known.has(documentUri)) {
+        known.add(documentUri);
+        const document = await resolveAsync(resolvers, documentUri);
+        if (document === undefined) {
+          throw new Error(`unable to resolve schema reference ${documentUri}`);
+        }
+        registry.add(document, documentUri);
+
+        walkWithBase(document, documentUri, '', (node, base) => {
+          if (!known.has(base)) {
+            // embedded `$id` -- register it so it can be found as a document of its own
+            known.add(base);
+            registry.add(node, base);
+          }
+        });
+        walkWithBase(document, documentUri, '', (node, base) => {
+          if (typeof node.$ref === 'string') {
+            const referenced = splitUri(url.resolve(base, node.$ref))[0];
+            if (!known.has(referenced)) {
+              pending.push(referenced);
+            }
+          }
+        });
+      }
+    }
+
+    return {
+      document: registry.resolve(rootUri),
+      registry,
+    };
+  }
+}
+
+module.exports = {
+  SchemaResolver,
+  SchemaRegistry,
+  FileSystemResolver,
+};
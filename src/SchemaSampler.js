@@ -0,0 +1,677 @@
+const lodash = require('lodash');
+
+const words = [
+  'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do',
+  'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore', 'magna', 'aliqua', 'enim',
+];
+
+const digits = '0123456789';
+const lowercase = 'abcdefghijklmnopqrstuvwxyz';
+const wordCharacters = `${lowercase}${lowercase.toUpperCase()}${digits}_`;
+const printable = Array.from({ length: 95 }, (v, index) => { return String.fromCharCode(32 + index); }).join('');
+
+/**
+ * Creates a seeded pseudo random number generator (mulberry32)
+ *
+ * @param {number|string} seed
+ * @return {function():number} generator of numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = typeof seed === 'number' ? seed : lodash.reduce(String(seed), (hash, c) => {
+    return Math.imul(hash ^ c.charCodeAt(0), 16777619);
+  }, 2166136261);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generates the words of a format, sized so the string fits the length bounds
+ *
+ * @param {SchemaSampler} sampler
+ * @param {{minLength: number, maxLength: number}} bounds the length bounds of the string
+ * @param {string} fixed the fixed part of the string
+ * @param {string} separator separator of the words
+ * @return {string} words
+ */
+function formatWords(sampler, bounds, fixed, separator) {
+  const maxLength = Math.min(bounds.maxLength, fixed.length + 16) - fixed.length;
+  return sampler.text(Math.max(1, bounds.minLength - fixed.length), Math.max(1, maxLength), separator);
+}
+
+/**
+ * Generators of strings for the formats known to Ajv
+ */
+const formats = {
+  'date-time': (sampler) => { return sampler.date().toISOString(); },
+  date: (sampler) => { return sampler.date().toISOString().slice(0, 10); },
+  time: (sampler) => { return `${sampler.date().toISOString().slice(11, 19)}Z`; },
+  email: (sampler, bounds) => { return `${formatWords(sampler, bounds, '@example.com', '.')}@example.com`; },
+  hostname: (sampler, bounds) => { return `${formatWords(sampler, bounds, '.example.com', '-')}.example.com`; },
+  uri: (sampler, bounds) => { return `https://example.com/${formatWords(sampler, bounds, 'https://example.com/', '/')}`; },
+  'uri-reference': (sampler, bounds) => { return `/${formatWords(sampler, bounds, '/', '/')}`; },
+  url: (sampler, bounds) => { return `https://example.com/${formatWords(sampler, bounds, 'https://example.com/', '-')}`; },
+  ipv4: (sampler) => {
+    return Array.from({ length: 4 }, () => { return sampler.integer(0, 255); }).join('.');
+  },
+  ipv6: (sampler) => {
+    return Array.from({ length: 8 }, () => { return sampler.integer(0, 65535).toString(16); }).join(':');
+  },
+  uuid: (sampler) => {
+    const hex = (length) => {
+      return Array.from({ length }, () => { return sampler.integer(0, 15).toString(16); }).join('');
+    };
+    return `${hex(8)}-${hex(4)}-4${hex(3)}-${sampler.pick(['8', '9', 'a', 'b'])}${hex(3)}-${hex(12)}`;
+  },
+  'json-pointer': (sampler, bounds) => { return `/${formatWords(sampler, bounds, '/', '/')}`; },
+  'relative-json-pointer': (sampler) => { return `${sampler.integer(0, 3)}/${sampler.pick(words)}`; },
+  regex: () => { return '^[a-z]+$'; },
+};
+
+/**
+ * @class {SchemaSampler}
+ *
+ * Generates sample data which is valid by construction for a Schema.
+ *
+ * Honors `const`, `enum`, `format`, `pattern`, string lengths, numeric ranges and `multipleOf`,
+ * array sizes, `uniqueItems`, `contains`, tuples, required and optional properties,
+ * `minProperties` / `maxProperties`, `oneOf` / `anyOf` / `allOf` and `not`.
+ * Output is deterministic for a given seed.
+ */
+class SchemaSampler {
+  /**
+   * @param {Schema} schema the Schema samples are generated for
+   * @param {Object} [options = {}] options
+   * @param {number|string} [options.seed] seed of the generator, random if not specified
+   * @param {number} [options.optionalProbability = 0.5] probability of generating an optional property
+   * @param {number} [options.maxDepth = 4] depth beyond which only required values are generated
+   * @param {number} [options.attempts = 10] number of attempts at generating a valid value
+   */
+  constructor(schema, options = {}) {
+    this.schema = schema;
+    this.random = createRandom(options.seed === undefined ? Math.floor(Math.random() * 4294967296) : options.seed);
+    this.optionalProbability = options.optionalProbability === undefined ? 0.5 : options.optionalProbability;
+    this.maxDepth = options.maxDepth === undefined ? 4 : options.maxDepth;
+    this.attempts = options.attempts || 10;
+    this.merged = new Map();
+  }
+
+  /**
+   * Generates a value for a subschema, retrying until the value is valid
+   *
+   * @param {Object} subSchema
+   * @return {*} value
+   * @throws {Error} if no valid value was generated within the number of attempts
+   */
+  generate(subSchema) {
+    for (let i = 0; i < this.attempts; i++) {
+      const value = this.sample(subSchema, 0);
+      if (this.isValid(subSchema, value)) {
+        return value;
+      }
+    }
+    throw new Error(`unable to generate a valid sample in ${this.attempts} attempts`);
+  }
+
+  /**
+   * Generates a value for a subschema
+   *
+   * @param {Object} subSchema
+   * @param {number} depth the depth of the value in the model
+   * @return {*} value
+   * @throws {Error} if the subschema can't be satisfied
+   */
+  sample(subSchema, depth) {
+    if (depth > this.maxDepth * 4) {
+      throw new Error('maximum depth exceeded sampling recursive schema');
+    }
+    if (subSchema === false) {
+      throw new Error('unable to sample the false schema');
+    }
+
+    const node = this.schema.resolveSubschema(subSchema === true || !subSchema ? {} : subSchema);
+    if (lodash.has(node, 'const')) {
+      return lodash.cloneDeep(node.const);
+    }
+    if (Array.isArray(node.enum)) {
+      return lodash.cloneDeep(this.pick(node.enum));
+    }
+
+    const variants = this.schema.variantsOf(node);
+    if (variants) {
+      return this.sampleVariant(node, variants, depth);
+    }
+
+    if (node.not) {
+      let value;
+      for (let i = 0; i < this.attempts; i++) {
+        value = this.sampleType(node, depth);
+        if (!this.isValid(node.not, value)) {
+          break;
+        }
+      }
+      return value;
+    }
+
+    return this.sampleType(node, depth);
+  }
+
+  /**
+   * Generates a value matching one of the `oneOf` / `anyOf` variants of node
+   *
+   * @param {Object} node
+   * @param {Array<Object>} variants
+   * @param {number} depth
+   * @return {*} value
+   */
+  sampleVariant(node, variants, depth) {
+    const base = lodash.omit(node, ['oneOf', 'anyOf']);
+    const order = lodash.sortBy(variants.map((variant, index) => {
+      return {
+        variant,
+        order: this.random(),
+        index,
+      };
+    }), 'order');
+
+    let value;
+    for (let i = 0; i < order.length; i++) {
+      value = this.sample(this.mergeVariant(node, base, order[i].variant), depth);
+      if (this.isValid(node, value)) {
+        break;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Merges the keywords of a subschema with one of its variants
+   *
+   * @param {Object} node
+   * @param {Object} base the keywords of node without its variants
+   * @param {Object} variant
+   * @return {Object} merged subschema
+   */
+  mergeVariant(node, base, variant) {
+    let byVariant = this.merged.get(node);
+    if (!byVariant) {
+      byVariant = new Map();
+      this.merged.set(node, byVariant);
+    }
+    if (!byVariant.has(variant)) {
+      byVariant.set(variant, this.schema.resolveSubschema({ allOf: [base, variant] }));
+    }
+    return byVariant.get(variant);
+  }
+
+  /**
+   * Generates a value of the type of node
+   *
+   * @param {Object} node
+   * @param {number} depth
+   * @return {*} value
+   */
+  sampleType(node, depth) {
+    let type = node.type;
+    if (Array.isArray(type)) {
+      // prefer values over `null`
+      const valueTypes = type.filter((one) => { return one !== 'null'; });
+      type = this.pick(valueTypes.length ? valueTypes : type);
+    }
+    if (!type) {
+      type = this.inferType(node);
+    }
+
+    if (type === 'string') {
+      return this.sampleString(node);
+    }
+    if (type === 'integer' || type === 'number') {
+      return this.sampleNumber(node, type === 'integer');
+    }
+    if (type === 'boolean') {
+      return this.random() < 0.5;
+    }
+    if (type === 'null') {
+      return null;
+    }
+    if (type === 'array') {
+      return this.sampleArray(node, depth);
+    }
+    if (type === 'object') {
+      return this.sampleObject(node, depth);
+    }
+    throw new Error(`unknown type ${type}`);
+  }
+
+  /**
+   * Infers the type of a subschema without `type` from its keywords
+   *
+   * @param {Object} node
+   * @return {string} type
+   */
+  inferType(node) {
+    if (node.properties || node.required || node.additionalProperties || node.patternProperties) {
+      return 'object';
+    }
+    if (node.items || node.minItems !== undefined || node.contains) {
+      return 'array';
+    }
+    if (node.multipleOf !== undefined || node.minimum !== undefined || node.maximum !== undefined) {
+      return 'number';
+    }
+    return 'string';
+  }
+
+  sampleString(node) {
+    const minLength = node.minLength || 0;
+    const maxLength = node.maxLength === undefined ? Infinity : node.maxLength;
+    if (node.format && formats[node.format]) {
+      return this.sampleFormat(node.format, minLength, maxLength);
+    }
+    if (node.pattern) {
+      return this.sampleRegExp(node.pattern, minLength, maxLength);
+    }
+    return this.text(minLength, maxLength);
+  }
+
+  /**
+   * Generates a string of a format, regenerated until its length is within bounds
+   *
+   * @param {string} format
+   * @param {number} minLength
+   * @param {number} maxLength
+   * @return {string} string, out of bounds if none was generated within the number of attempts
+   */
+  sampleFormat(format, minLength, maxLength) {
+    let text = '';
+    for (let i = 0; i < this.attempts; i++) {
+      text = formats[format](this, { minLength, maxLength });
+      if (text.length >= minLength && text.length <= maxLength) {
+        break;
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Generates text made of words
+   *
+   * @param {number} minLength
+   * @param {number} maxLength
+   * @param {string} [separator = ' '] separator of the words
+   * @return {string} text
+   */
+  text(minLength, maxLength, separator = ' ') {
+    const length = this.integer(minLength, Math.max(minLength, Math.min(maxLength, Math.max(minLength, 24))));
+    let text = this.pick(words);
+    while (text.length < length) {
+      text = `${text}${separator}${this.pick(words)}`;
+    }
+    text = text.slice(0, length);
+    return text.endsWith(separator) ? `${text.slice(0, -1)}x` : text;
+  }
+
+  sampleNumber(node, isInteger) {
+    let min = node.minimum;
+    let max = node.maximum;
+    let exclusiveMin = node.exclusiveMinimum === true;
+    let exclusiveMax = node.exclusiveMaximum === true;
+
+    if (typeof node.exclusiveMinimum === 'number' && (min === undefined || node.exclusiveMinimum >= min)) {
+      min = node.exclusiveMinimum;
+      exclusiveMin = true;
+    }
+    if (typeof node.exclusiveMaximum === 'number' && (max === undefined || node.exclusiveMaximum <= max)) {
+      max = node.exclusiveMaximum;
+      exclusiveMax = true;
+    }
+    if (min === undefined) {
+      min = max === undefined ? 0 : max - 100;
+    }
+    if (max === undefined) {
+      max = min + 100;
+    }
+
+    const inRange = (value) => {
+      return (exclusiveMin ? value > min : value >= min) && (exclusiveMax ? value < max : value <= max);
+    };
+
+    if (node.multipleOf) {
+      const step = node.multipleOf;
+      const from = Math.ceil(min / step);
+      const to = Math.floor(max / step);
+      for (let i = 0; i < this.attempts * 2; i++) {
+        const value = this.integer(from, Math.max(from, to)) * step;
+        const division = value / step;
+        if (inRange(value) && division === parseInt(division, 10) && (!isInteger || Number.isInteger(value))) {
+          return value;
+        }
+      }
+      return from * step;
+    }
+
+    if (isInteger) {
+      const from = exclusiveMin ? Math.floor(min) + 1 : Math.ceil(min);
+      const to = exclusiveMax ? Math.ceil(max) - 1 : Math.floor(max);
+      return this.integer(from, Math.max(from, to));
+    }
+
+    let value = Math.round((min + (this.random() * (max - min))) * 100) / 100;
+    if (!inRange(value)) {
+      value = (min + max) / 2;
+    }
+    return value;
+  }
+
+  sampleArray(node, depth) {
+    const minItems = node.minItems || 0;
+    const tuple = Array.isArray(node.items) ? node.items.length : 0;
+    let maxItems = node.maxItems === undefined ? minItems + 3 : Math.min(node.maxItems, minItems + 3);
+    if (tuple && node.additionalItems === false) {
+      maxItems = Math.min(maxItems, tuple);
+    }
+
+    let count = depth >= this.maxDepth ? minItems : this.integer(minItems, Math.max(minItems, maxItems));
+    if (node.contains && count === 0) {
+      count = 1;
+    }
+
+    const containsAt = node.contains ? this.integer(0, count - 1) : -1;
+    const result = [];
+    for (let index = 0; index < count; index++) {
+      let itemSchema = this.schema.itemsSubschema(node, index) || {};
+      if (index === containsAt) {
+        itemSchema = this.schema.resolveSubschema({ allOf: [itemSchema, node.contains] });
+      }
+
+      let item = this.sample(itemSchema, depth + 1);
+      for (let i = 0; node.uniqueItems && i < this.attempts && result.some((one) => { return lodash.isEqual(one, item); }); i++) {
+        item = this.sample(itemSchema, depth + 1);
+      }
+      result.push(item);
+    }
+    return result;
+  }
+
+  sampleObject(node, depth) {
+    const properties = node.properties || {};
+    const required = node.required || [];
+    const keys = Object.keys(properties).filter((key) => {
+      return required.includes(key) || (depth < this.maxDepth && this.random() < this.optionalProbability);
+    });
+    required.forEach((key) => {
+      if (!keys.includes(key)) {
+        keys.push(key);
+      }
+    });
+
+    // add the property dependencies of the properties present
+    for (let i = 0; i < keys.length; i++) {
+      const dependencies = lodash.get(node, ['dependencies', keys[i]]);
+      if (Array.isArray(dependencies)) {
+        dependencies.forEach((key) => {
+          if (!keys.includes(key)) {
+            keys.push(key);
+          }
+        });
+      }
+    }
+
+    const optional = Object.keys(properties).filter((key) => { return !keys.includes(key); });
+    while (node.minProperties !== undefined && keys.length < node.minProperties) {
+      if (optional.length) {
+        keys.push(optional.shift());
+      } else if (node.additionalProperties !== false) {
+        keys.push(`${this.pick(words)}${keys.length}`);
+      } else {
+        break;
+      }
+    }
+    while (node.maxProperties !== undefined && keys.length > node.maxProperties) {
+      const index = lodash.findLastIndex(keys, (key) => { return !required.includes(key); });
+      if (index === -1) {
+        break;
+      }
+      keys.splice(index, 1);
+    }
+
+    const result = {};
+    keys.forEach((key) => {
+      result[key] = this.sample(this.schema.propertySubschema(node, key) || {}, depth + 1);
+    });
+
+    // conditional keywords may require more properties given the values generated
+    const effective = this.schema.effectiveSubschema(node, result);
+    (effective.required || []).forEach((key) => {
+      if (!lodash.has(result, [key])) {
+        result[key] = this.sample(this.schema.propertySubschema(effective, key) || {}, depth + 1);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Generates a string matching a regular expression.
+   *
+   * Supports literals, classes, escapes, groups, alternation and quantifiers.
+   * Strings are checked against the expression and regenerated when they don't match.
+   * Strings out of the length bounds are regenerated with more or fewer repetitions of
+   * the unbounded quantifiers (`*`, `+`, `{n,}`).
+   *
+   * @param {string} pattern
+   * @param {number} [minLength = 0]
+   * @param {number} [maxLength = Infinity]
+   * @return {string} matching string, possibly not matching if none was generated within the number of attempts
+   */
+  sampleRegExp(pattern, minLength = 0, maxLength = Infinity) {
+    const expression = new RegExp(pattern, 'u');
+    // repetitions of unbounded quantifiers: at least `floor` more than their minimum, up to `spread` more
+    const repeat = { floor: 0, spread: 3 };
+    let text = '';
+    for (let i = 0; i < this.attempts; i++) {
+      text = this.generateAlternation({ pattern, at: 0, repeat });
+      if (text.length < minLength) {
+        repeat.floor += minLength - text.length;
+      } else if (text.length > maxLength) {
+        const excess = text.length - maxLength;
+        repeat.spread = Math.max(0, repeat.spread - Math.max(0, excess - repeat.floor));
+        repeat.floor = Math.max(0, repeat.floor - excess);
+      } else if (expression.test(text)) {
+        break;
+      }
+    }
+    return text;
+  }
+
+  generateAlternation(state) {
+    const branches = [''];
+    while (state.at < state.pattern.length && state.pattern[state.at] !== ')') {
+      if (state.pattern[state.at] === '|') {
+        state.at++;
+        branches.push('');
+      } else {
+        branches[branches.length - 1] += this.generateQuantified(state);
+      }
+    }
+    return this.pick(branches);
+  }
+
+  generateQuantified(state) {
+    const { pattern } = state;
+    const start = state.at;
+    this.generateAtom(state);
+    const end = state.at;
+
+    let min = 1;
+    let max = 1;
+    let unbounded = false;
+    const c = pattern[state.at];
+    if (c === '*' || c === '+' || c === '?') {
+      min = c === '+' ? 1 : 0;
+      max = 1;
+      unbounded = c !== '?';
+      state.at++;
+    } else if (c === '{') {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(state.at));
+      if (match) {
+        min = Number(match[1]);
+        max = match[3] ? Number(match[3]) : min;
+        unbounded = Boolean(match[2]) && !match[3];
+        state.at += match[0].length;
+      }
+    }
+    if (unbounded) {
+      const { floor, spread } = state.repeat || { floor: 0, spread: 3 };
+      min += floor;
+      max = min + spread;
+    }
+    if (pattern[state.at] === '?') {
+      // lazy quantifier
+      state.at++;
+    }
+
+    let text = '';
+    const count = this.integer(min, max);
+    for (let i = 0; i < count; i++) {
+      text += this.generateAtom({ pattern, at: start, repeat: state.repeat });
+    }
+    state.at = Math.max(state.at, end);
+    return text;
+  }
+
+  generateAtom(state) {
+    const { pattern } = state;
+    const c = pattern[state.at++];
+
+    if (c === '(') {
+      if (pattern[state.at] === '?') {
+        // non capturing group
+        state.at += 2;
+      }
+      const text = this.generateAlternation(state);
+      state.at++;
+      return text;
+    }
+    if (c === '[') {
+      return this.generateClass(state);
+    }
+    if (c === '\\') {
+      return this.generateEscape(state);
+    }
+    if (c === '.') {
+      return this.pick(wordCharacters);
+    }
+    if (c === '^' || c === '$') {
+      return '';
+    }
+    return c;
+  }
+
+  generateEscape(state) {
+    const c = state.pattern[state.at++];
+    const classes = {
+      d: digits,
+      w: wordCharacters,
+      s: ' ',
+      D: lowercase,
+      W: '-',
+      S: lowercase,
+    };
+    if (classes[c]) {
+      return this.pick(classes[c]);
+    }
+    if (c === 'b' || c === 'B') {
+      return '';
+    }
+    if (c === 'u' && /^[0-9a-f]{4}/i.test(state.pattern.slice(state.at))) {
+      const text = String.fromCharCode(parseInt(state.pattern.slice(state.at, state.at + 4), 16));
+      state.at += 4;
+      return text;
+    }
+    const controls = {
+      n: '\n',
+      t: '\t',
+      r: '\r',
+    };
+    return controls[c] || c;
+  }
+
+  generateClass(state) {
+    const { pattern } = state;
+    const negated = pattern[state.at] === '^';
+    if (negated) {
+      state.at++;
+    }
+
+    let characters = '';
+    while (state.at < pattern.length && pattern[state.at] !== ']') {
+      let c = pattern[state.at++];
+      if (c === '\\') {
+        const escaped = pattern[state.at++];
+        const classes = {
+          d: digits,
+          w: wordCharacters,
+          s: ' ',
+        };
+        c = classes[escaped] || this.generateEscape({ pattern: `\\${escaped}`, at: 1 });
+      } else if (pattern[state.at] === '-' && pattern[state.at + 1] !== ']' && state.at + 1 < pattern.length) {
+        const to = pattern[state.at + 1];
+        state.at += 2;
+        c = '';
+        for (let code = pattern.charCodeAt(state.at - 3); code <= to.charCodeAt(0); code++) {
+          c += String.fromCharCode(code);
+        }
+      }
+      characters += c;
+    }
+    state.at++;
+
+    if (negated) {
+      characters = printable.split('').filter((one) => { return !characters.includes(one); }).join('');
+    }
+    return characters.length ? this.pick(characters) : '';
+  }
+
+  /**
+   * Determines if a value is valid for a subschema
+   *
+   * @param {Object} subSchema
+   * @param {*} value
+   * @return {boolean} true if valid
+   */
+  isValid(subSchema, value) {
+    if (subSchema === this.schema.schema) {
+      return this.schema.getValidator()(value);
+    }
+    return this.schema.getSubschemaValidator(subSchema)(value);
+  }
+
+  /**
+   * Generates an integer in [min, max]
+   *
+   * @param {number} min
+   * @param {number} max
+   * @return {number} integer
+   */
+  integer(min, max) {
+    return min + Math.floor(this.random() * ((max - min) + 1));
+  }
+
+  pick(choices) {
+    return choices[Math.floor(this.random() * choices.length)];
+  }
+
+  /**
+   * Generates a date between 2000 and 2030
+   *
+   * @return {Date} date
+   */
+  date() {
+    return new Date(Date.UTC(2000, 0, 1) + Math.floor(this.random() * 946080000) * 1000);
+  }
+}
+
+module.exports = SchemaSampler;
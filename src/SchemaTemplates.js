@@ -0,0 +1,267 @@
+const lodash = require('lodash');
+
+const SchemaPath = require('./SchemaPath');
+
+/**
+ * Matches the `{{expression}}` placeholders of strings
+ */
+const placeholder = /\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+/**
+ * Matches strings which are a single placeholder, their value keeps its type
+ */
+const singlePlaceholder = /^\{\{\s*([\s\S]+?)\s*\}\}$/;
+
+/**
+ * Applies a function to values which are present, leaving `undefined` and `null` as is
+ *
+ * @param {function(value:*):*} fn
+ * @return {function(value:*):*} filter
+ */
+function present(fn) {
+  // `this` is the templates evaluating the filter, see `evaluate`
+  return function (value, ...args) {
+    return value === undefined || value === null ? value : fn.call(this, value, ...args);
+  };
+}
+
+/**
+ * Filters available to every template
+ */
+const globalFilters = {
+  default: (value, fallback) => { return value === undefined || value === null ? fallback : value; },
+  upper: present((value) => { return String(value).toUpperCase(); }),
+  lower: present((value) => { return String(value).toLowerCase(); }),
+  trim: present((value) => { return String(value).trim(); }),
+  capitalize: present((value) => { return lodash.upperFirst(String(value)); }),
+  json: (value) => { return JSON.stringify(value); },
+  join: present((value, separator = ', ') => { return lodash.castArray(value).join(separator); }),
+  date: present(function date(value, format = 'medium') {
+    const when = value instanceof Date ? value : new Date(value);
+    if (isNaN(when.getTime())) {
+      return value;
+    }
+    if (format === 'iso') {
+      return when.toISOString();
+    }
+    return when.toLocaleDateString(this.locale, { dateStyle: format, timeZone: 'UTC' });
+  }),
+};
+
+/**
+ * Splits text on a separator, ignoring separators within quotes
+ *
+ * @param {string} text
+ * @param {string} separator a single character
+ * @return {Array<string>} parts
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let part = '';
+  let quote;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\' && i + 1 < text.length) {
+        part += c + text[++i];
+        continue;
+      }
+      if (c === quote) {
+        quote = undefined;
+      }
+    } else if (c === '\'' || c === '"') {
+      quote = c;
+    } else if (c === separator) {
+      parts.push(part.trim());
+      part = '';
+      continue;
+    }
+    part += c;
+  }
+  parts.push(part.trim());
+  return parts;
+}
+
+/**
+ * Parses a filter argument: a quoted string, a number, `true`, `false`, `null` or a bare word
+ *
+ * @param {string} text
+ * @return {*} argument
+ */
+function parseArgument(text) {
+  const quoted = /^(['"])([\s\S]*)\1$/.exec(text);
+  if (quoted) {
+    return quoted[2].replace(/\\([\s\S])/g, '$1');
+  }
+  if (text === 'true' || text === 'false' || text === 'null') {
+    return JSON.parse(text);
+  }
+  if (text !== '' && lodash.isFinite(Number(text))) {
+    return Number(text);
+  }
+  return text;
+}
+
+/**
+ * @class {SchemaTemplates}
+ *
+ * Resolves the templates of a subschema.
+ *
+ * Templates are either
+ *  - values `{"$pathRef": "directives.today"}`, replaced by the value at the path
+ *  - strings with placeholders `"Due {{directives.today | date:'short'}}"`, the string is
+ *    interpolated unless it is a single placeholder, which is replaced by the value as is
+ *
+ * Expressions are a path followed by filters, `path | filter:arg1:arg2 | ...`. Filters are
+ * `default:value` (used when the path is missing), `upper`, `lower`, `trim`, `capitalize`,
+ * `json`, `join:separator` and `date:format` (`short`, `medium`, `long`, `full` or `iso`),
+ * plus those registered with `Schema.registerFilter` or supplied in the options.
+ *
+ * Values resolved may be templates themselves, they are resolved in turn.
+ * Placeholders of missing values without a default are left as is.
+ */
+class SchemaTemplates {
+  /**
+   * @param {function(path:string):*} resolver resolves the value at a path
+   * @param {Object} [options = {}] options
+   * @param {Object} [options.filters] filters, in addition to those registered
+   * @param {string} [options.locale = 'en-US'] the locale of the date filter
+   */
+  constructor(resolver, options = {}) {
+    this.resolver = resolver;
+    this.filters = {
+      ...globalFilters,
+      ...options.filters,
+    };
+    this.locale = options.locale || 'en-US';
+  }
+
+  /**
+   * Registers a filter available to every template
+   *
+   * @param {string} name
+   * @param {function(value:*, ...args):*} filter
+   */
+  static registerFilter(name, filter) {
+    globalFilters[name] = filter;
+  }
+
+  /**
+   * Parses an expression
+   *
+   * `directives.today | date:'short'` => `{path: 'directives.today', filters: [{name: 'date', args: ['short']}]}`
+   *
+   * @param {string} expression
+   * @return {{path: string, filters: Array<Object>}} parsed expression
+   */
+  static parse(expression) {
+    const [path, ...filters] = splitOutsideQuotes(expression, '|');
+    return {
+      path,
+      filters: filters.map((filter) => {
+        const [name, ...args] = splitOutsideQuotes(filter, ':');
+        return {
+          name,
+          args: args.map(parseArgument),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Collects the paths templates of a value refer to
+   *
+   * @param {*} value
+   * @return {Array<string>} paths
+   */
+  static paths(value) {
+    const paths = [];
+    const collect = (node) => {
+      if (typeof node === 'string') {
+        node.replace(placeholder, (text, expression) => {
+          paths.push(SchemaTemplates.parse(expression).path);
+          return text;
+        });
+      } else if (lodash.isPlainObject(node) && typeof node.$pathRef === 'string') {
+        paths.push(SchemaTemplates.parse(node.$pathRef).path);
+      } else if (lodash.isObject(node)) {
+        lodash.forEach(node, collect);
+      }
+    };
+    collect(value);
+    return lodash.uniq(paths);
+  }
+
+  /**
+   * Resolves the templates of a value
+   *
+   * @param {*} value
+   * @param {Array<string>} [stack = []] the paths being resolved
+   * @return {*} a copy of the value with its templates resolved
+   * @throws {Error} if templates refer to each other
+   */
+  fixup(value, stack = []) {
+    if (Array.isArray(value)) {
+      return value.map((item) => { return this.fixup(item, stack); });
+    }
+    if (lodash.isPlainObject(value)) {
+      if (typeof value.$pathRef === 'string') {
+        return this.evaluate(value.$pathRef, stack);
+      }
+      return lodash.mapValues(value, (item) => { return this.fixup(item, stack); });
+    }
+    if (typeof value === 'string') {
+      return this.interpolate(value, stack);
+    }
+    return value;
+  }
+
+  /**
+   * Interpolates the placeholders of a string
+   *
+   * @param {string} text
+   * @param {Array<string>} stack
+   * @return {*} the interpolated string, or the value of a single placeholder
+   */
+  interpolate(text, stack) {
+    const single = singlePlaceholder.exec(text);
+    if (single && !single[1].includes('}}')) {
+      const value = this.evaluate(single[1], stack);
+      return value === undefined ? text : value;
+    }
+    return text.replace(placeholder, (match, expression) => {
+      const value = this.evaluate(expression, stack);
+      if (value === undefined) {
+        return match;
+      }
+      return lodash.isObject(value) ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  /**
+   * Evaluates an expression
+   *
+   * @param {string} expression
+   * @param {Array<string>} stack
+   * @return {*} value
+   * @throws {Error} if the path is being resolved already or a filter is unknown
+   */
+  evaluate(expression, stack) {
+    const { path, filters } = SchemaTemplates.parse(expression);
+    const key = SchemaPath.format(path);
+    if (stack.includes(key)) {
+      throw new Error(`cyclic $pathRef ${stack.concat(key).join(' -> ')}`);
+    }
+
+    const value = this.fixup(this.resolver(path), stack.concat(key));
+    return filters.reduce((result, filter) => {
+      const fn = this.filters[filter.name];
+      if (typeof fn !== 'function') {
+        throw new Error(`unknown $pathRef filter ${filter.name}`);
+      }
+      return fn.call(this, result, ...filter.args);
+    }, value);
+  }
+}
+
+module.exports = SchemaTemplates;
@@ -0,0 +1,331 @@
+const lodash = require('lodash');
+
+const SchemaPath = require('./SchemaPath');
+
+/**
+ * Names of members which can be written without quotes
+ */
+const identifier = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * TypeScript types of the JSON Schema scalar types
+ */
+const scalarTypes = {
+  string: 'string',
+  number: 'number',
+  integer: 'number',
+  boolean: 'boolean',
+  null: 'null',
+};
+
+/**
+ * Converts a name into a PascalCase type name
+ *
+ * `common_address.json` => `CommonAddressJson`
+ *
+ * @param {string} name
+ * @return {string} type name
+ */
+function typeName(name) {
+  const pascal = lodash.upperFirst(lodash.camelCase(name));
+  return /^[A-Za-z_$]/.test(pascal) ? pascal : `T${pascal}`;
+}
+
+/**
+ * Formats a value as a TypeScript literal type
+ *
+ * @param {*} value
+ * @return {string} literal type
+ */
+function literal(value) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+    return JSON.stringify(value);
+  }
+  return 'unknown';
+}
+
+/**
+ * @class {SchemaTypeScript}
+ *
+ * Generates TypeScript declarations from the document of a Schema.
+ *
+ * The document is read as written, before references are hydrated, so each of its
+ * `definitions` becomes a named type which references use. Output only depends on the
+ * document: definitions are declared in alphabetical order, members in the order of `properties`.
+ */
+class SchemaTypeScript {
+  /**
+   * @param {Schema} schema
+   * @param {Object} [options = {}] options
+   * @param {string} [options.rootName] the name of the root type, from the `title` of the schema
+   *    or `Model` when omitted
+   * @param {boolean} [options.export = true] false to declare types without exporting them
+   * @param {string} [options.indent = '  '] the indentation of members
+   */
+  constructor(schema, options = {}) {
+    this.document = schema.document;
+    this.options = {
+      export: true,
+      indent: '  ',
+      ...options,
+    };
+    this.names = {};
+  }
+
+  /**
+   * Generates the declarations
+   *
+   * @return {string} `.d.ts` text
+   */
+  generate() {
+    const definitions = this.document.definitions || {};
+    const rootName = this.options.rootName || typeName(this.document.title || 'Model');
+    const taken = new Set([rootName]);
+    Object.keys(definitions).sort().forEach((key) => {
+      let name = typeName(key);
+      for (let i = 2; taken.has(name); i++) {
+        name = `${typeName(key)}${i}`;
+      }
+      taken.add(name);
+      this.names[key] = name;
+    });
+
+    const declarations = [this.declare(rootName, this.document)];
+    Object.keys(definitions).sort().forEach((key) => {
+      declarations.push(this.declare(this.names[key], definitions[key]));
+    });
+    return `${declarations.join('\n\n')}\n`;
+  }
+
+  /**
+   * Declares a named type, as an interface for plain object subschemas
+   *
+   * @param {string} name
+   * @param {Object|boolean} subSchema
+   * @return {string} declaration
+   */
+  declare(name, subSchema) {
+    const exported = this.options.export ? 'export ' : '';
+    const comment = this.comment(subSchema, '');
+    if (this.isInterface(subSchema)) {
+      return `${comment}${exported}interface ${name} ${this.objectType(subSchema, '')}`;
+    }
+    return `${comment}${exported}type ${name} = ${this.typeOf(subSchema, '', [])};`;
+  }
+
+  /**
+   * Determines if a subschema is declared as an interface: an object without combinators
+   *
+   * @param {Object|boolean} subSchema
+   * @return {boolean}
+   */
+  isInterface(subSchema) {
+    return lodash.isPlainObject(subSchema) && !subSchema.$ref && this.typesOf(subSchema).join() === 'object' &&
+      !subSchema.oneOf && !subSchema.anyOf && !subSchema.allOf && subSchema.enum === undefined && subSchema.const === undefined;
+  }
+
+  /**
+   * Computes the JSON Schema types of a subschema, inferred from its keywords when not declared
+   *
+   * @param {Object} subSchema
+   * @return {Array<string>} types, empty for any type
+   */
+  typesOf(subSchema) {
+    if (subSchema.type !== undefined) {
+      return lodash.castArray(subSchema.type);
+    }
+    if (subSchema.properties || subSchema.additionalProperties !== undefined || subSchema.required) {
+      return ['object'];
+    }
+    if (subSchema.items) {
+      return ['array'];
+    }
+    return [];
+  }
+
+  /**
+   * Computes the TypeScript type of a subschema
+   *
+   * @param {Object|boolean} subSchema
+   * @param {string} indent the indentation of the line the type is written on
+   * @param {Array<string>} references the non definition references being inlined, to break cycles
+   * @return {string} type
+   */
+  typeOf(subSchema, indent, references) {
+    if (subSchema === true || subSchema === undefined) {
+      return 'unknown';
+    }
+    if (subSchema === false) {
+      return 'never';
+    }
+    if (subSchema.$ref) {
+      return this.referenceType(subSchema.$ref, indent, references);
+    }
+    if (subSchema.const !== undefined) {
+      return literal(subSchema.const);
+    }
+    if (Array.isArray(subSchema.enum)) {
+      return lodash.uniq(subSchema.enum.map(literal)).join(' | ') || 'never';
+    }
+
+    const parts = [];
+    const types = this.typesOf(subSchema);
+    if (types.length) {
+      parts.push(this.union(types.map((type) => { return this.typeOfType(subSchema, type, indent, references); })));
+    }
+    const variants = subSchema.oneOf || subSchema.anyOf;
+    if (variants) {
+      parts.push(this.union(variants.map((variant) => { return this.typeOf(variant, indent, references); })));
+    }
+    (subSchema.allOf || []).forEach((member) => {
+      parts.push(this.typeOf(member, indent, references));
+    });
+
+    if (!parts.length) {
+      return 'unknown';
+    }
+    if (parts.length === 1) {
+      return parts[0];
+    }
+    return parts.map((part) => { return part.includes(' | ') ? `(${part})` : part; }).join(' & ');
+  }
+
+  /**
+   * Computes the TypeScript type of one of the types of a subschema
+   *
+   * @param {Object} subSchema
+   * @param {string} type a JSON Schema type
+   * @param {string} indent
+   * @param {Array<string>} references
+   * @return {string} type
+   */
+  typeOfType(subSchema, type, indent, references) {
+    if (type === 'object') {
+      return this.objectType(subSchema, indent, references);
+    }
+    if (type === 'array') {
+      return this.arrayType(subSchema, indent, references);
+    }
+    return scalarTypes[type] || 'unknown';
+  }
+
+  /**
+   * Computes the TypeScript type of an object subschema
+   *
+   * @param {Object} subSchema
+   * @param {string} indent
+   * @param {Array<string>} [references = []]
+   * @return {string} type
+   */
+  objectType(subSchema, indent, references = []) {
+    const inner = `${indent}${this.options.indent}`;
+    const properties = subSchema.properties || {};
+    const required = subSchema.required || [];
+    const members = Object.keys(properties).map((key) => {
+      const name = identifier.test(key) ? key : JSON.stringify(key);
+      const optional = required.includes(key) ? '' : '?';
+      const type = this.typeOf(properties[key], inner, references);
+      return `${this.comment(properties[key], inner)}${inner}${name}${optional}: ${type};`;
+    });
+
+    const additional = subSchema.additionalProperties;
+    if (lodash.isPlainObject(additional)) {
+      // members must be assignable to the index signature
+      const type = members.length ? 'unknown' : this.typeOf(additional, inner, references);
+      members.push(`${inner}[key: string]: ${type};`);
+    } else if (!members.length && additional !== false) {
+      members.push(`${inner}[key: string]: unknown;`);
+    }
+
+    if (!members.length) {
+      return 'Record<string, never>';
+    }
+    return `{\n${members.join('\n')}\n${indent}}`;
+  }
+
+  /**
+   * Computes the TypeScript type of an array subschema, tuples for `items` arrays
+   *
+   * @param {Object} subSchema
+   * @param {string} indent
+   * @param {Array<string>} references
+   * @return {string} type
+   */
+  arrayType(subSchema, indent, references) {
+    if (Array.isArray(subSchema.items)) {
+      const items = subSchema.items.map((item) => { return this.typeOf(item, indent, references); });
+      if (subSchema.additionalItems !== false) {
+        items.push(`...${this.arrayOf(this.typeOf(subSchema.additionalItems, indent, references))}`);
+      }
+      return `[${items.join(', ')}]`;
+    }
+    return this.arrayOf(this.typeOf(subSchema.items, indent, references));
+  }
+
+  /**
+   * Computes the type of an array of a type
+   *
+   * @param {string} type the type of the items
+   * @return {string} array type
+   */
+  arrayOf(type) {
+    return /^[\w$.]+$/.test(type) ? `${type}[]` : `Array<${type}>`;
+  }
+
+  /**
+   * Computes the type a reference refers to: the named type of a definition,
+   * otherwise the inlined type of the subschema referred to
+   *
+   * @param {string} ref
+   * @param {string} indent
+   * @param {Array<string>} references
+   * @return {string} type
+   */
+  referenceType(ref, indent, references) {
+    if (!ref.startsWith('#')) {
+      return 'unknown';
+    }
+    const tokens = SchemaPath.pointerTokens(ref);
+    if (tokens.length === 2 && tokens[0] === 'definitions' && this.names[tokens[1]]) {
+      return this.names[tokens[1]];
+    }
+    if (!tokens.length) {
+      return this.options.rootName || typeName(this.document.title || 'Model');
+    }
+    if (references.includes(ref)) {
+      return 'unknown';
+    }
+    return this.typeOf(lodash.get(this.document, tokens), indent, references.concat(ref));
+  }
+
+  /**
+   * Joins types into a union
+   *
+   * @param {Array<string>} types
+   * @return {string} union
+   */
+  union(types) {
+    return lodash.uniq(types).join(' | ');
+  }
+
+  /**
+   * Formats the `description` of a subschema as a JSDoc comment
+   *
+   * @param {Object|boolean} subSchema
+   * @param {string} indent
+   * @return {string} comment followed by a new line, empty without a description
+   */
+  comment(subSchema, indent) {
+    const description = lodash.get(subSchema, 'description');
+    if (typeof description !== 'string' || !description.trim()) {
+      return '';
+    }
+    const lines = description.trim().replace(/\*\//g, '*\\/').split(/\r?\n/);
+    if (lines.length === 1) {
+      return `${indent}/** ${lines[0]} */\n`;
+    }
+    return `${indent}/**\n${lines.map((line) => { return `${indent} * ${line}`.trimEnd(); }).join('\n')}\n${indent} */\n`;
+  }
+}
+
+module.exports = SchemaTypeScript;
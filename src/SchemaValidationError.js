@@ -0,0 +1,211 @@
+const lodash = require('lodash');
+
+const SchemaPath = require('./SchemaPath');
+
+/**
+ * Determines if a dataPath is the same as or below another dataPath
+ * 
+ * @param {string} dataPath
+ * @param {string} parentDataPath
+ * @return {boolean} true if dataPath is at or below parentDataPath
+ */
+function isDataPathWithin(dataPath, parentDataPath) {
+  return dataPath === parentDataPath ||
+    dataPath.startsWith(`${parentDataPath}.`) ||
+    dataPath.startsWith(`${parentDataPath}[`);
+}
+
+/**
+ * @class {SchemaValidationError}
+ *
+ * Helper class for validation exceptions
+ */
+class SchemaValidationError extends Error {
+  constructor(errors) {
+    super(errors.length === 1 ? errors[0].message : 'Schema Validation Error');
+    this.errors = errors;
+    this.message = SchemaValidationError.summarize(this.bestMatchErrors());
+  }
+
+  /**
+   * Summarizes errors into an exception message
+   * 
+   * @param {Array<Object>} errors
+   * @return {string} message
+   */
+  static summarize(errors) {
+    if (errors.length === 1) {
+      return errors[0].message;
+    }
+    const messages = errors.slice(0, 3).map((error) => { return error.message; });
+    const more = errors.length > 3 ? ` and ${errors.length - 3} more` : '';
+    return `Schema Validation Error: ${messages.join('; ')}${more}`;
+  }
+
+  /**
+   * Overload for determining if an exception is a SchemaValidationError
+   * 
+   * @param {*} type type to statically evaluate
+   */
+  isPrototypeOf(type) {
+    if (type === SchemaValidationError) {
+      return true;
+    }
+    return super.isPrototypeOf(type);
+  }
+
+  /**
+   * Retrieves the errors with the failures of `oneOf` and `anyOf` branches
+   * replaced by the failures of the branch which matched best (the one with the fewest errors).
+   * 
+   * The `oneOf` or `anyOf` error itself is only kept when none of its branches failed
+   * (the value matched more than one branch of a `oneOf`)
+   * 
+   * @return {Array<Object>} errors
+   */
+  bestMatchErrors() {
+    const combinators = this.errors
+      .filter(({ error }) => { return error && ['oneOf', 'anyOf'].includes(error.keyword); })
+      .sort((a, b) => { return a.error.schemaPath.length - b.error.schemaPath.length; });
+    const removed = new Set();
+
+    combinators.forEach((combinator) => {
+      if (removed.has(combinator)) {
+        return;
+      }
+      const { schemaPath, dataPath } = combinator.error;
+      const branches = {};
+      this.errors.forEach((one) => {
+        const error = one.error;
+        if (error && !removed.has(one) && error.schemaPath.startsWith(`${schemaPath}/`) &&
+          isDataPathWithin(error.dataPath, dataPath)) {
+          const branch = error.schemaPath.slice(schemaPath.length + 1).split('/')[0];
+          branches[branch] = (branches[branch] || []).concat(one);
+        }
+      });
+
+      const best = Object.keys(branches).sort((a, b) => {
+        return (branches[a].length - branches[b].length) || (Number(a) - Number(b));
+      })[0];
+      if (best === undefined) {
+        return;
+      }
+      removed.add(combinator);
+      Object.keys(branches).forEach((branch) => {
+        if (branch !== best) {
+          branches[branch].forEach((one) => { removed.add(one); });
+        }
+      });
+    });
+
+    return this.errors.filter((error) => { return !removed.has(error); });
+  }
+
+  /**
+   * Groups the errors into a tree mirroring the model.
+   * 
+   * Each node is `{ errors: [], children: {} }`, children are keyed by property name or array index.
+   * `required` errors are placed at the path of the missing property.
+   * 
+   * @param {Object} [options = {bestMatch: true}] options
+   * @param {boolean} [options.bestMatch = true] true to group `bestMatchErrors` rather than every error
+   * @return {Object} root node
+   */
+  tree(options = {
+    bestMatch: true
+  }) {
+    const root = {
+      errors: [],
+      children: {},
+    };
+    const errors = options.bestMatch ? this.bestMatchErrors() : this.errors;
+
+    errors.forEach((error) => {
+      const node = SchemaPath.parse(SchemaValidationError.fieldPath(error)).reduce((parent, segment) => {
+        const key = segment.index !== undefined ? String(segment.index) : segment.key;
+        parent.children[key] = parent.children[key] || {
+          errors: [],
+          children: {},
+        };
+        return parent.children[key];
+      }, root);
+      node.errors.push(error);
+    });
+
+    return root;
+  }
+
+  /**
+   * Retrieves the errors for the value at the specified path of the model
+   * 
+   * @param {string} path path of the value (`address.street`, `items[2]`)
+   * @param {Object} [options = {}] options
+   * @param {boolean} [options.deep = false] true to include the errors of values below path
+   * @return {Array<Object>} errors
+   */
+  errorsAt(path, options = {}) {
+    const node = SchemaPath.parse(path).reduce((parent, segment) => {
+      const key = segment.index !== undefined ? String(segment.index) : segment.key;
+      return parent && parent.children[key];
+    }, this.tree());
+
+    if (!node) {
+      return [];
+    }
+    if (!options.deep) {
+      return node.errors;
+    }
+
+    const collect = (at) => {
+      return Object.keys(at.children).reduce((result, key) => {
+        return result.concat(collect(at.children[key]));
+      }, at.errors);
+    };
+    return collect(node);
+  }
+
+  /**
+   * Computes the path of the field an error is about.
+   * This is the path of the error except for `required` (and property `dependencies`)
+   * errors which are about the missing property
+   * 
+   * @param {Object} error
+   * @return {string} path
+   */
+  static fieldPath(error) {
+    const missingProperty = lodash.get(error, 'error.params.missingProperty');
+    if (missingProperty !== undefined && lodash.get(error, 'error.keyword') === 'required') {
+      return SchemaPath.append(error.path, missingProperty);
+    }
+    return error.path;
+  }
+
+  /**
+   * Serializes the errors into a stable format suitable for API responses
+   * 
+   * @return {Object} serialized error
+   */
+  toJSON() {
+    return {
+      name: 'SchemaValidationError',
+      message: this.message,
+      errors: this.bestMatchErrors().map((error) => {
+        const fieldPath = SchemaValidationError.fieldPath(error);
+        return {
+          path: fieldPath,
+          pointer: SchemaPath.toPointer(fieldPath),
+          keyword: lodash.get(error, 'error.keyword'),
+          message: error.message,
+          params: lodash.get(error, 'error.params', {}),
+          schemaPath: lodash.get(error, 'error.schemaPath'),
+        };
+      }),
+    };
+  }
+
+  toString() {
+    return `Schema Validation Error Occurred ${JSON.stringify(this.errors)}`;
+  }
+}
+
+module.exports = SchemaValidationError;
@@ -0,0 +1,201 @@
+const lodash = require('lodash');
+
+const SchemaPath = require('./SchemaPath');
+
+/**
+ * Returned by `enter` to skip the subschemas of a subschema
+ */
+const SKIP = 'skip';
+
+/**
+ * Returned by `enter` or `leave` to stop the traversal
+ */
+const STOP = 'stop';
+
+/**
+ * Keywords with a single subschema, and the model path template of that subschema
+ * relative to the path of the schema holding it (`null` for subschemas which do not describe values)
+ */
+const singleKeywords = {
+  not: (path) => { return path; },
+  if: (path) => { return path; },
+  then: (path) => { return path; },
+  else: (path) => { return path; },
+  items: (path) => { return appendTemplate(path, { index: '*' }); },
+  additionalItems: (path) => { return appendTemplate(path, { index: '*' }); },
+  contains: (path) => { return appendTemplate(path, { index: '*' }); },
+  additionalProperties: (path) => { return appendTemplate(path, { key: '*' }); },
+  propertyNames: () => { return null; },
+};
+
+/**
+ * Keywords with an array of subschemas
+ */
+const arrayKeywords = {
+  allOf: (path) => { return path; },
+  anyOf: (path) => { return path; },
+  oneOf: (path) => { return path; },
+  items: (path, index) => { return appendTemplate(path, { index }); },
+};
+
+/**
+ * Keywords with subschemas keyed by name
+ */
+const mapKeywords = {
+  properties: (path, key) => { return appendTemplate(path, { key }); },
+  patternProperties: (path) => { return appendTemplate(path, { key: '*' }); },
+  dependencies: (path) => { return path; },
+  definitions: () => { return null; },
+};
+
+/**
+ * Appends a segment to a path template, paths of subschemas which do not describe values stay `null`
+ *
+ * @param {string|null} path
+ * @param {Object} segment
+ * @return {string|null} path template
+ */
+function appendTemplate(path, segment) {
+  return path === null ? null : SchemaPath.format(SchemaPath.parse(path).concat(segment));
+}
+
+/**
+ * @class {SchemaVisitor}
+ *
+ * Visits every subschema of a schema document, depth first in document order.
+ *
+ * The visitor is either a function, invoked when entering each subschema, or an object with
+ * `enter` and / or `leave` hooks. Hooks are invoked with the subschema and its context:
+ *  - `pointer` the JSON pointer of the subschema in the document (`#/properties/a/items`)
+ *  - `path` the model path template of the values it describes (`a[*]`), `[*]` standing for any
+ *    array item and `.*` for any property name. `null` for `definitions` and `propertyNames`,
+ *    which do not describe a value in place
+ *  - `keyword` the keyword holding the subschema (`properties`, `items`, `oneOf`...), `null` at the root
+ *  - `key` the property name, definition name or array index of the subschema within its keyword
+ *  - `parent` the subschema holding the keyword
+ *  - `required` true if the subschema is a property `required` by its parent
+ *  - `depth` the number of subschemas above it
+ *
+ * `enter` returns `SchemaVisitor.SKIP` (or `false`) to skip the subschemas of the subschema,
+ * `enter` and `leave` return `SchemaVisitor.STOP` to end the traversal.
+ *
+ * References are visited as written, the subschemas they refer to are visited under `definitions`.
+ * Subschemas within `enum`, `const`, `default` and `examples` are data and are not visited.
+ */
+class SchemaVisitor {
+  /**
+   * @param {function(subSchema:Object, context:Object):*|{enter: function, leave: function}} visitor
+   */
+  constructor(visitor) {
+    this.visitor = typeof visitor === 'function' ? { enter: visitor } : visitor || {};
+  }
+
+  /**
+   * Visits a document
+   *
+   * @param {Object|boolean} document
+   * @param {Object} [context = {}] the context of the document
+   * @param {string} [context.pointer = '#'] the JSON pointer of the document
+   * @param {string} [context.path = ''] the model path of the values the document describes
+   * @return {boolean} false if the traversal was stopped
+   */
+  visit(document, context = {}) {
+    return this.visitSubschema(document, {
+      pointer: '#',
+      path: '',
+      keyword: null,
+      key: undefined,
+      parent: undefined,
+      required: false,
+      depth: 0,
+      ...context,
+    });
+  }
+
+  /**
+   * Visits a subschema, then its subschemas
+   *
+   * @param {Object|boolean} subSchema
+   * @param {Object} context
+   * @return {boolean} false if the traversal was stopped
+   */
+  visitSubschema(subSchema, context) {
+    const entered = this.visitor.enter ? this.visitor.enter(subSchema, context) : undefined;
+    if (entered === STOP) {
+      return false;
+    }
+    if (entered !== SKIP && entered !== false && lodash.isPlainObject(subSchema) &&
+        !this.visitChildren(subSchema, context)) {
+      return false;
+    }
+    const left = this.visitor.leave ? this.visitor.leave(subSchema, context) : undefined;
+    return left !== STOP;
+  }
+
+  /**
+   * Visits the subschemas of a subschema in the order of its keywords
+   *
+   * @param {Object} subSchema
+   * @param {Object} context the context of the subschema
+   * @return {boolean} false if the traversal was stopped
+   */
+  visitChildren(subSchema, context) {
+    return SchemaVisitor.children(subSchema, context).every((child) => {
+      return this.visitSubschema(child.subSchema, child.context);
+    });
+  }
+
+  /**
+   * Retrieves the subschemas of a subschema with their context, in the order of its keywords
+   *
+   * @param {Object} subSchema
+   * @param {Object} context the context of the subschema, its `pointer`, `path` and `depth` at least
+   * @return {Array<{subSchema: Object|boolean, context: Object}>} subschemas
+   */
+  static children(subSchema, context) {
+    const children = [];
+    const addChild = (child, keyword, key, path, required = false) => {
+      const pointer = [keyword].concat(key === undefined ? [] : key).reduce((parent, token) => {
+        return `${parent}/${SchemaPath.escapePointerToken(token)}`;
+      }, context.pointer);
+      children.push({
+        subSchema: child,
+        context: {
+          pointer,
+          path,
+          keyword,
+          key,
+          parent: subSchema,
+          required,
+          depth: context.depth + 1,
+        },
+      });
+    };
+
+    Object.keys(subSchema).forEach((keyword) => {
+      const value = subSchema[keyword];
+      if (Array.isArray(value) && arrayKeywords[keyword]) {
+        value.forEach((child, index) => {
+          addChild(child, keyword, index, arrayKeywords[keyword](context.path, index));
+        });
+      } else if (lodash.isPlainObject(value) && mapKeywords[keyword]) {
+        Object.keys(value).forEach((key) => {
+          // `dependencies` may also list property names
+          if (keyword === 'dependencies' && Array.isArray(value[key])) {
+            return;
+          }
+          const required = keyword === 'properties' && lodash.includes(subSchema.required, key);
+          addChild(value[key], keyword, key, mapKeywords[keyword](context.path, key), required);
+        });
+      } else if ((lodash.isPlainObject(value) || typeof value === 'boolean') && singleKeywords[keyword]) {
+        addChild(value, keyword, undefined, singleKeywords[keyword](context.path));
+      }
+    });
+    return children;
+  }
+}
+
+SchemaVisitor.SKIP = SKIP;
+SchemaVisitor.STOP = STOP;
+
+module.exports = SchemaVisitor;